@@ -0,0 +1,186 @@
+// Background service worker.
+//
+// Content scripts cannot capture the page they run in, so the screenshot
+// keys (s<key> in content.js) ask this worker to call
+// chrome.tabs.captureVisibleTab. That needs the "<all_urls>" host
+// permission, which is optional and granted on the options page.
+//
+// It also handles the browser-level shortcuts declared under "commands" in
+// manifest.json, which work while the viewer page is not focused (or, with
+// the scope set to Global on chrome://extensions/shortcuts, while Chrome is
+// not). They are forwarded to the viewer tab's content script with the same
+// messages the popup sends (see "Popup Messaging" in content.js).
+importScripts("keymap.js", "origins.js");
+
+(function () {
+  "use strict";
+
+  const CAPTURE_PERMISSION = { origins: ["<all_urls>"] };
+  const OFFSCREEN_URL = "offscreen.html";
+
+  // Responds with { dataUrl } or { error, needsPermission }
+  function captureTab(tab, sendResponse) {
+    chrome.permissions.contains(CAPTURE_PERMISSION, function (granted) {
+      if (!granted) {
+        sendResponse({ error: "Screen capture is not allowed", needsPermission: true });
+        return;
+      }
+      chrome.tabs.captureVisibleTab(tab.windowId, { format: "png" }, function (dataUrl) {
+        if (chrome.runtime.lastError || !dataUrl) {
+          sendResponse({ error: chrome.runtime.lastError ? chrome.runtime.lastError.message : "Capture failed" });
+          return;
+        }
+        sendResponse({ dataUrl: dataUrl });
+      });
+    });
+  }
+
+  chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
+    if (!message || message.type !== "captureTab" || !sender.tab) return;
+    captureTab(sender.tab, sendResponse);
+    return true;  // responds asynchronously
+  });
+
+  // =========================================================================
+  // Browser shortcuts (chrome.commands)
+  // =========================================================================
+
+  // The viewer tab to control: the active one in the last focused window if
+  // that is a viewer, otherwise the viewer tab used most recently. Tab URLs
+  // are readable for viewer origins through the host permissions alone.
+  function findViewerTab(callback) {
+    OcpOrigins.load(function (origins) {
+      chrome.tabs.query({}, function (tabs) {
+        var viewers = tabs.filter(function (tab) {
+          return tab.url && OcpOrigins.isViewerUrl(tab.url, origins);
+        });
+        chrome.windows.getLastFocused(function (win) {
+          var active = viewers.filter(function (tab) {
+            return tab.active && win && tab.windowId === win.id;
+          })[0];
+          if (active) {
+            callback(active);
+            return;
+          }
+          viewers.sort(function (a, b) { return (b.lastAccessed || 0) - (a.lastAccessed || 0); });
+          callback(viewers[0] || null);
+        });
+      });
+    });
+  }
+
+  const FAILURE_BADGE_MS = 5000;
+
+  var failureTimer = null;
+
+  // There is no viewer page to toast on when a shortcut fails, so the
+  // toolbar button shows a "!" badge for a few seconds, with the reason in
+  // its tooltip.
+  function reportFailure(message) {
+    chrome.action.setBadgeBackgroundColor({ color: "#c62828" });
+    chrome.action.setBadgeText({ text: "!" });
+    chrome.action.setTitle({ title: chrome.runtime.getManifest().name + ": " + message });
+    clearTimeout(failureTimer);
+    failureTimer = setTimeout(clearFailure, FAILURE_BADGE_MS);
+  }
+
+  function clearFailure() {
+    clearTimeout(failureTimer);
+    failureTimer = null;
+    chrome.action.setBadgeText({ text: "" });
+    chrome.action.setTitle({ title: chrome.runtime.getManifest().name });
+  }
+
+  function sendToViewer(tab, message, callback) {
+    chrome.tabs.sendMessage(tab.id, message, function (response) {
+      if (chrome.runtime.lastError || !response) {
+        reportFailure("Viewer tab did not answer — reload it");
+        return;
+      }
+      if (callback) callback(response);
+    });
+  }
+
+  // --- Clipboard ---
+  //
+  // A service worker has no clipboard, and the viewer page may not have
+  // focus, so yanked text is copied from an offscreen document.
+
+  var offscreenCreating = null;
+
+  function ensureOffscreenDocument() {
+    return chrome.runtime.getContexts({ contextTypes: ["OFFSCREEN_DOCUMENT"] }).then(function (contexts) {
+      if (contexts.length > 0) return;
+      if (!offscreenCreating) {
+        offscreenCreating = chrome.offscreen.createDocument({
+          url: OFFSCREEN_URL,
+          reasons: ["CLIPBOARD"],
+          justification: "Copy yanked measurements when a browser shortcut is used",
+        }).finally(function () {
+          offscreenCreating = null;
+        });
+      }
+      return offscreenCreating;
+    });
+  }
+
+  function copyToClipboard(text) {
+    return ensureOffscreenDocument().then(function () {
+      return chrome.runtime.sendMessage({ type: "offscreenCopy", text: text });
+    }).then(function (response) {
+      if (!response || !response.ok) throw new Error("Copy failed");
+    });
+  }
+
+  function yankPrimary(tab) {
+    sendToViewer(tab, { type: "yank", command: { type: "yank", variant: "primary" } }, function (result) {
+      if (result.error) {
+        sendToViewer(tab, { type: "toast", message: result.error, active: false });
+        return;
+      }
+      copyToClipboard(result.text).then(function () {
+        sendToViewer(tab, { type: "toast", message: "Copied " + result.description, active: true });
+      }).catch(function () {
+        sendToViewer(tab, { type: "toast", message: "Copy failed", active: false });
+      });
+    });
+  }
+
+  // Views are sent as the number typed before v, from the user's keymap
+  function runView(tab, id) {
+    OcpKeymap.load(function (actions) {
+      var view = actions.filter(function (a) { return a.id === id; })[0];
+      if (view) sendToViewer(tab, { type: "command", command: { type: "view", num: view.key } });
+    });
+  }
+
+  function focusTab(tab) {
+    chrome.tabs.update(tab.id, { active: true });
+    chrome.windows.update(tab.windowId, { focused: true });
+  }
+
+  // Names match the "commands" entries in manifest.json
+  const SHORTCUT_HANDLERS = {
+    iso: function (tab) { runView(tab, "iso"); },
+    front: function (tab) { runView(tab, "front"); },
+    top: function (tab) { runView(tab, "top"); },
+    toggleUnit: function (tab) {
+      sendToViewer(tab, { type: "command", command: { type: "action", id: "toggleUnit" } });
+    },
+    yankPrimary: yankPrimary,
+    focusViewer: focusTab,
+  };
+
+  chrome.commands.onCommand.addListener(function (name) {
+    var handler = SHORTCUT_HANDLERS[name];
+    if (!handler) return;
+    findViewerTab(function (tab) {
+      if (!tab) {
+        reportFailure("No viewer tab open");
+        return;
+      }
+      if (failureTimer) clearFailure();
+      handler(tab);
+    });
+  });
+})();
@@ -0,0 +1,207 @@
+// Main-world bridge to the three-cad-viewer instance.
+//
+// Content scripts run in an isolated world and only see the viewer's DOM.
+// This script is injected into the page's own world (manifest "world":
+// "MAIN"), finds the Viewer object and answers requests from the content
+// script over window.postMessage:
+//
+//   request:  { channel: "ocp-viewer-bridge", type: "request",  version, id, method, params }
+//   response: { channel: "ocp-viewer-bridge", type: "response", version, id, ok, result | error, code }
+//
+// Methods: ping, camera.get, camera.set, selection.get, tree.get, toolbar.get.
+// Everything goes through createBridge(), which takes the window and a
+// findViewer() function so it can be exercised against a mock viewer.
+(function (global) {
+  "use strict";
+
+  if (global.OcpBridge) return; // injected twice (static + registered script)
+
+  var PROTOCOL_VERSION = 1;
+  var CHANNEL = "ocp-viewer-bridge";
+
+  // Globals the viewer page is known to keep its instance in
+  var VIEWER_GLOBALS = ["viewer", "tcvViewer", "ocpViewer"];
+
+  // =========================================================================
+  // Viewer lookup and value conversion
+  // =========================================================================
+
+  function isViewer(candidate) {
+    return !!candidate && typeof candidate === "object" &&
+           typeof candidate.getCameraPosition === "function";
+  }
+
+  function findViewer(win) {
+    for (var i = 0; i < VIEWER_GLOBALS.length; i++) {
+      if (isViewer(win[VIEWER_GLOBALS[i]])) return win[VIEWER_GLOBALS[i]];
+    }
+    // ocp_vscode keeps the viewer on its Display wrapper in some versions
+    if (win.display && isViewer(win.display.viewer)) return win.display.viewer;
+    return null;
+  }
+
+  // THREE.Vector3 / Quaternion -> [x, y, z(, w)]; Box3 -> { min, max }
+  function plain(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value.toArray === "function") return value.toArray();
+    if (value.min && value.max) return { min: plain(value.min), max: plain(value.max) };
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  function callIfPresent(viewer, name) {
+    return typeof viewer[name] === "function" ? plain(viewer[name]()) : undefined;
+  }
+
+  function BridgeError(message, code) {
+    var err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  // =========================================================================
+  // Methods
+  // =========================================================================
+
+  var METHODS = {
+    "ping": function (viewer) {
+      return { version: PROTOCOL_VERSION, viewer: !!viewer };
+    },
+
+    "camera.get": function (viewer) {
+      return {
+        position: callIfPresent(viewer, "getCameraPosition"),
+        target: callIfPresent(viewer, "getCameraTarget"),
+        quaternion: callIfPresent(viewer, "getCameraQuaternion"),
+        zoom: callIfPresent(viewer, "getCameraZoom"),
+        ortho: callIfPresent(viewer, "getOrtho"),
+      };
+    },
+
+    // params: { position?, target?, quaternion?, zoom? } — omitted keys are kept
+    "camera.set": function (viewer, params) {
+      var setters = {
+        position: "setCameraPosition",
+        target: "setCameraTarget",
+        quaternion: "setCameraQuaternion",
+        zoom: "setCameraZoom",
+      };
+      for (var key in params) {
+        if (!setters[key]) throw BridgeError("Unknown camera property: " + key, "bad_params");
+        if (typeof viewer[setters[key]] !== "function") {
+          throw BridgeError("Viewer cannot set camera " + key, "unsupported");
+        }
+      }
+      for (var name in setters) {
+        if (params[name] !== undefined) viewer[setters[name]](params[name]);
+      }
+      return METHODS["camera.get"](viewer);
+    },
+
+    // The last picked object, or null
+    "selection.get": function (viewer) {
+      var pick = viewer.lastPick || viewer.lastObject || null;
+      if (!pick) return null;
+      return {
+        path: pick.path || null,
+        name: pick.name || null,
+        boundingBox: plain(pick.boundingBox || pick.bbox),
+      };
+    },
+
+    // { "/Group/part": [shapeVisible, edgesVisible], ... } as the viewer reports it
+    "tree.get": function (viewer) {
+      if (typeof viewer.getStates !== "function") {
+        throw BridgeError("Viewer does not report tree states", "unsupported");
+      }
+      return { states: plain(viewer.getStates()) };
+    },
+
+    "toolbar.get": function (viewer) {
+      return {
+        axes: callIfPresent(viewer, "getAxes"),
+        axes0: callIfPresent(viewer, "getAxes0"),
+        grid: callIfPresent(viewer, "getGrids"),
+        ortho: callIfPresent(viewer, "getOrtho"),
+        transparent: callIfPresent(viewer, "getTransparent"),
+        blackEdges: callIfPresent(viewer, "getBlackEdges"),
+        tools: callIfPresent(viewer, "getTools"),
+      };
+    },
+  };
+
+  // =========================================================================
+  // Bridge
+  // =========================================================================
+
+  function responseMessage(request, ok, payload, code) {
+    var response = { channel: CHANNEL, type: "response", version: PROTOCOL_VERSION, id: request.id, ok: ok };
+    if (ok) {
+      response.result = payload;
+    } else {
+      response.error = payload;
+      response.code = code;
+    }
+    return response;
+  }
+
+  // options: { window, findViewer } — both default to the real page
+  function createBridge(options) {
+    options = options || {};
+    var win = options.window || global;
+    var lookup = options.findViewer || function () { return findViewer(win); };
+
+    // Returns a Promise of the response message for a request message
+    function handleRequest(request) {
+      function respond(ok, payload, code) {
+        return responseMessage(request, ok, payload, code);
+      }
+
+      return Promise.resolve().then(function () {
+        if (request.version !== PROTOCOL_VERSION) {
+          return respond(false, "Unsupported protocol version " + request.version +
+                         " (bridge speaks " + PROTOCOL_VERSION + ")", "bad_version");
+        }
+        // Own keys only, so "toString" or "__proto__" is not a method
+        var method = Object.prototype.hasOwnProperty.call(METHODS, request.method) ? METHODS[request.method] : null;
+        if (!method) return respond(false, "Unknown method: " + request.method, "unknown_method");
+
+        var viewer = lookup();
+        if (!viewer && request.method !== "ping") {
+          return respond(false, "Viewer instance not found", "no_viewer");
+        }
+        return respond(true, method(viewer, request.params || {}));
+      }).catch(function (err) {
+        return respond(false, err.message, err.code || "error");
+      });
+    }
+
+    function onMessage(event) {
+      if (event.source !== win) return;
+      var data = event.data;
+      if (!data || data.channel !== CHANNEL || data.type !== "request") return;
+      handleRequest(data).then(function (response) {
+        win.postMessage(response, "*");
+      }).catch(function (err) {
+        // A result that cannot be cloned (DataCloneError) still gets an
+        // answer, so the caller does not wait for its timeout
+        win.postMessage(responseMessage(data, false, "Response could not be sent: " + err.message, "error"), "*");
+      });
+    }
+
+    return {
+      handleRequest: handleRequest,
+      attach: function () { win.addEventListener("message", onMessage); },
+      detach: function () { win.removeEventListener("message", onMessage); },
+    };
+  }
+
+  global.OcpBridge = {
+    PROTOCOL_VERSION: PROTOCOL_VERSION,
+    CHANNEL: CHANNEL,
+    METHODS: Object.keys(METHODS),
+    findViewer: findViewer,
+    createBridge: createBridge,
+  };
+
+  createBridge().attach();
+})(globalThis);
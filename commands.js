@@ -0,0 +1,137 @@
+// Text form of the commands the content script dispatches, shared by the
+// macros panel and the options page (custom sequences).
+//
+// One command per line; blank lines and lines starting with # are skipped:
+//   view 1
+//   viewOption transparent
+//   tool properties
+//   hide 2
+//   yank primary | yank table | yank row 3 | yank axis 3 x
+//   preset 1
+//   treeQuery isolate *bolt*
+//   chain toggle | chain undo | chain reset | chain yankTotal | chain yankList
+//   screenshot clipboard | screenshot download
+//   action toggleUnit
+//   wait 500
+// The command objects are the ones runCommand() in content.js takes.
+(function (global) {
+  "use strict";
+
+  // Direct-key actions without arguments; content.js maps each to a function
+  var ACTION_IDS = ["toggleUnit", "cyclePrecision", "cycleAngleUnit", "historyPanel", "registersPanel", "macrosPanel",
+                    "pinMeasurement", "dismissPins", "checksPanel"];
+
+  // Distance chain actions (CHAIN_ACTIONS in content.js binds them to keys)
+  var CHAIN_ACTIONS = ["toggle", "undo", "reset", "yankTotal", "yankList"];
+
+  // Screenshot destinations (SCREENSHOT_ACTIONS in content.js)
+  var SCREENSHOT_TARGETS = ["clipboard", "download"];
+
+  function commandToText(cmd) {
+    switch (cmd.type) {
+      case "tool":
+      case "viewOption":
+      case "action":
+        return cmd.type + " " + cmd.id;
+      case "view":
+      case "hide":
+      case "preset":
+        return cmd.type + " " + cmd.num;
+      case "yank":
+        if (cmd.variant === "row") return "yank row " + cmd.row;
+        if (cmd.variant === "axis") return "yank axis " + cmd.row + " " + cmd.axis;
+        return "yank " + cmd.variant;
+      case "treeQuery":
+        return "treeQuery " + cmd.action + " " + cmd.pattern;
+      case "chain":
+        return "chain " + cmd.action;
+      case "screenshot":
+        return "screenshot " + cmd.target;
+      case "wait":
+        return "wait " + cmd.ms;
+    }
+    return "# unknown command " + cmd.type;
+  }
+
+  function keymapIds(group) {
+    return OcpKeymap.DEFAULTS.filter(function (a) { return a.group === group; })
+                             .map(function (a) { return a.id; });
+  }
+
+  // One line of macro text -> command object; throws on bad input
+  function parseCommandLine(line) {
+    var words = line.split(/\s+/);
+    var type = words[0];
+    var arg = words[1];
+
+    function number(text, what) {
+      if (!/^[0-9]+$/.test(text || "")) throw new Error(what + " must be a number");
+      return parseInt(text, 10);
+    }
+
+    function oneOf(text, allowed, what) {
+      if (allowed.indexOf(text) === -1) {
+        throw new Error("unknown " + what + " " + (text || "(missing)") + ", expected " + allowed.join(", "));
+      }
+      return text;
+    }
+
+    switch (type) {
+      case "tool":
+        return { type: "tool", id: oneOf(arg, keymapIds("tools"), "tool") };
+      case "viewOption":
+        return { type: "viewOption", id: oneOf(arg, keymapIds("viewOptions"), "view option") };
+      case "action":
+        return { type: "action", id: oneOf(arg, ACTION_IDS, "action") };
+      case "view":
+        return { type: "view", num: String(number(arg, "view")) };
+      case "hide":
+        return { type: "hide", num: number(arg, "node number") };
+      case "preset":
+        return { type: "preset", num: number(arg, "preset number") };
+      case "yank":
+        oneOf(arg, ["primary", "table", "row", "axis"], "yank variant");
+        if (arg === "row") return { type: "yank", variant: "row", row: number(words[2], "row") };
+        if (arg === "axis") {
+          return { type: "yank", variant: "axis", row: number(words[2], "row"),
+                   axis: oneOf(words[3], ["x", "y", "z"], "axis") };
+        }
+        return { type: "yank", variant: arg };
+      case "treeQuery":
+        oneOf(arg, ["hide", "show", "isolate"], "tree query action");
+        if (words.length < 3) throw new Error("treeQuery needs a pattern");
+        return { type: "treeQuery", action: arg, pattern: line.replace(/^\S+\s+\S+\s+/, "") };
+      case "chain":
+        return { type: "chain", action: oneOf(arg, CHAIN_ACTIONS, "chain action") };
+      case "screenshot":
+        return { type: "screenshot", target: oneOf(arg, SCREENSHOT_TARGETS, "screenshot target") };
+      case "wait":
+        return { type: "wait", ms: number(arg, "wait time") };
+    }
+    throw new Error("unknown command " + type);
+  }
+
+  // Returns { commands, errors: ["line 3: ..."] }. Blank lines and lines
+  // starting with # are skipped.
+  function parseCommandText(text) {
+    var commands = [];
+    var errors = [];
+    var lines = text.split("\n");
+    for (var i = 0; i < lines.length; i++) {
+      var line = lines[i].trim();
+      if (line === "" || line.charAt(0) === "#") continue;
+      try {
+        commands.push(parseCommandLine(line));
+      } catch (e) {
+        errors.push("line " + (i + 1) + ": " + e.message);
+      }
+    }
+    return { commands: commands, errors: errors };
+  }
+
+  global.OcpCommands = {
+    ACTION_IDS: ACTION_IDS,
+    commandToText: commandToText,
+    parseCommandText: parseCommandText,
+  };
+})(globalThis);
@@ -4,58 +4,45 @@
   // =========================================================================
   // KEYBINDING REGISTRY
   //
-  // To add a new keybinding:
-  //   1. Add an entry to KEYBINDINGS below.
-  //   2. Each entry needs:
-  //        key      – the keyboard key (lowercase)
-  //        selector – CSS selector for the toolbar button to click
-  //        label    – human-readable name shown in the toast
-  //
-  // The toolbar buttons in three-cad-viewer follow the pattern:
-  //   <span class="tcv_button_frame">
-  //     <input class="tcv_reset tcv_btn tcv_button_<NAME>" type="button">
-  //   </span>
-  //
-  // When active, the frame span gets the class "tcv_btn_click2".
+  // The default bindings live in keymap.js (loaded before this script) and
+  // can be changed on the extension's options page. The lookup tables below
+  // are rebuilt from the merged keymap by applyKeymap() at init() and
+  // whenever the stored keymap changes.
   // =========================================================================
 
-  const KEYBINDINGS = [
-    // Measurement tools
-    { key: "u", shift: false, selector: "input.tcv_button_distance", label: "Distance Measurement" },
-    { key: "u", shift: true,  selector: "input.tcv_button_properties", label: "Properties" },
-
-    // --- Add more bindings here ---
-  ];
-
-  // Camera views: number + v
-  const VIEW_MAP = {
-    "0": { selector: "input.tcv_button_iso",    label: "Iso View" },
-    "1": { selector: "input.tcv_button_front",  label: "Front View" },
-    "2": { selector: "input.tcv_button_rear",   label: "Back View" },
-    "3": { selector: "input.tcv_button_top",    label: "Top View" },
-    "4": { selector: "input.tcv_button_bottom", label: "Bottom View" },
-    "5": { selector: "input.tcv_button_left",   label: "Left View" },
-    "6": { selector: "input.tcv_button_right",  label: "Right View" },
-  };
-
-  // v-prefix view options
-  const V_PREFIX_MAP = {
-    "t": { selector: "input.tcv_button_transparent", label: "Transparent", toggle: true },
-    "e": { selector: "input.tcv_button_blackedges", label: "Black Edges", toggle: true },
-    "g": { selector: "input.tcv_button_grid", label: "Grid", toggle: true },
-    "a": { selector: "input.tcv_button_axes", label: "Axes", toggle: true },
-    "o": { selector: "input.tcv_button_axes0", label: "Origin Axes", toggle: true },
-    "p": { selector: "input.tcv_button_perspective", label: "Perspective", toggle: true },
-    "x": { checkbox: "input.tcv_grid-xy", label: "Grid XY", toggle: true },
-    "y": { checkbox: "input.tcv_grid-xz", label: "Grid XZ", toggle: true },
-    "z": { checkbox: "input.tcv_grid-yz", label: "Grid YZ", toggle: true },
-  };
+  var KEYBINDINGS = [];   // tool bindings (click a toolbar button)
+  var VIEW_MAP = {};      // "<number>" -> camera view, pressed as Nv
+  var V_PREFIX_MAP = {};  // "shift+key" or "key" -> view option, pressed as v<key>
+  var KEY_MAP = {};       // "shift+key" or "key" -> direct binding (tools, prefixes, units, ...)
+
+  function applyKeymap(actions) {
+    KEYBINDINGS = [];
+    VIEW_MAP = {};
+    V_PREFIX_MAP = {};
+    KEY_MAP = {};
+
+    for (var i = 0; i < actions.length; i++) {
+      var action = actions[i];
+      if (action.disabled) continue;
+
+      if (action.group === "views") {
+        VIEW_MAP[action.key] = action;
+      } else if (action.group === "viewOptions") {
+        V_PREFIX_MAP[OcpKeymap.comboKey(action)] = Object.assign({ toggle: true }, action);
+      } else {
+        if (action.group === "tools") KEYBINDINGS.push(action);
+        KEY_MAP[OcpKeymap.comboKey(action)] = action;
+      }
+    }
+    buildSequences();
+  }
 
-  // Build a lookup map: "shift+key" or "key" -> binding
-  const KEY_MAP = {};
-  for (const binding of KEYBINDINGS) {
-    var mapKey = (binding.shift ? "shift+" : "") + binding.key;
-    KEY_MAP[mapKey] = binding;
+  // Display label for a direct binding by action id, e.g. "Shift+u"
+  function keyLabelFor(id) {
+    for (var mapKey in KEY_MAP) {
+      if (KEY_MAP[mapKey].id === id) return OcpKeymap.formatKey(KEY_MAP[mapKey]);
+    }
+    return "unbound";
   }
 
   // =========================================================================
@@ -64,43 +51,148 @@
 
   const ACTIVE_CLASS = "tcv_btn_click2";
   const FRAME_SELECTOR = ".tcv_button_frame";
+  const TOOLBAR_PROBE_SELECTOR = "input.tcv_button_distance"; // present once the toolbar is built
   const TOAST_DURATION_MS = 1500;
-  const POLL_INTERVAL_MS = 500;
-  const MAX_POLL_ATTEMPTS = 60; // 30 seconds
+  const TOOLBAR_WAIT_MS = 30000; // attach anyway if the toolbar never shows up
   const MEASURE_VAL_SELECTOR = ".tcv_measure_val";
   const PRECISIONS = [8, 16, 32];
-  const UNIT_POLL_MS = 400;
   const PROPERTIES_PANEL_SELECTOR = ".tcv_properties_measurement_panel";
   const DISTANCE_PANEL_SELECTOR = ".tcv_distance_measurement_panel";
-  const COPY_BTN_POLL_MS = 300;
+  const TREE_CONTAINER_SELECTOR = ".tcv_cad_tree_container";
+  const HISTORY_SETTLE_MS = 300; // panel content must be stable this long to be recorded
 
-  // Yank keybind state (for multi-key sequences like "yy", "yx", "ybc")
-  var yankSequence = [];  // array of keys pressed
-  var lastKeyTime = 0;
-  const YANK_SEQUENCE_TIMEOUT_MS = 1500;
+  // Which-key panel (multi-key sequences are in the Sequence Engine section)
   var whichKeyEl = null;
   var whichKeyTimer = null;
+  const WHICH_KEY_TIMEOUT_MS = 1500;
+
+  // =========================================================================
+  // Unit Registry
+  //
+  // The viewer always displays millimetres with 3 decimals. Every other unit
+  // (and mm with a different number of decimals) is shown by rewriting the
+  // cells through formatLength(). Decimal units divide by `factor`; the
+  // fractional inch unit uses the precision denominator instead of decimals.
+  // =========================================================================
+
+  const UNITS = [
+    { id: "mm",   label: "mm",        name: "millimetres",       factor: 1,      symbol: "mm",   suffix: "",      decimals: 3 },
+    { id: "cm",   label: "cm",        name: "centimetres",       factor: 10,     symbol: "cm",   suffix: " cm",   decimals: 4 },
+    { id: "m",    label: "m",         name: "metres",            factor: 1000,   symbol: "m",    suffix: " m",    decimals: 6 },
+    { id: "um",   label: "µm",        name: "microns",           factor: 0.001,  symbol: "µm",   suffix: " µm",   decimals: 1 },
+    { id: "in",   label: "in",        name: "decimal inches",    factor: 25.4,   symbol: "in",   suffix: '"',     decimals: 4 },
+    { id: "thou", label: "thou",      name: "thou (mil)",        factor: 0.0254, symbol: "thou", suffix: " thou", decimals: 1 },
+    { id: "frac", label: "in (frac)", name: "fractional inches", fractional: true },
+  ];
+
+  // Angle display modes. The viewer shows angles in degrees.
+  const ANGLE_UNITS = [
+    { id: "deg", label: "deg", name: "degrees" },
+    { id: "rad", label: "rad", name: "radians" },
+    { id: "dms", label: "DMS", name: "degrees, minutes, seconds" },
+  ];
+
+  // Power of the length unit for each physical dimension of a row
+  const DIMENSION_POWERS = { length: 1, area: 2, volume: 3 };
+  const SUPERSCRIPTS = { 2: "²", 3: "³" };
+
+  const VIEWER_UNIT = "mm";
+  const VIEWER_DECIMALS = 3;
+  const MAX_DECIMALS = 6;
+
+  function findUnit(id) {
+    for (var i = 0; i < UNITS.length; i++) {
+      if (UNITS[i].id === id) return UNITS[i];
+    }
+    return null;
+  }
+
+  function defaultUnitDecimals() {
+    var decimals = {};
+    for (var i = 0; i < UNITS.length; i++) {
+      if (!UNITS[i].fractional) decimals[UNITS[i].id] = UNITS[i].decimals;
+    }
+    return decimals;
+  }
+
+  function findAngleUnit(id) {
+    for (var i = 0; i < ANGLE_UNITS.length; i++) {
+      if (ANGLE_UNITS[i].id === id) return ANGLE_UNITS[i];
+    }
+    return null;
+  }
+
+  // Cells only need rewriting when the display differs from the viewer's own
+  function isConversionActive() {
+    return currentUnit !== VIEWER_UNIT ||
+           unitDecimals[VIEWER_UNIT] !== VIEWER_DECIMALS ||
+           currentAngleUnit !== "deg";
+  }
+
+  function toFixedNoNegativeZero(value, places) {
+    var text = value.toFixed(places);
+    if (/^-0(\.0*)?$/.test(text)) text = text.slice(1);
+    return text;
+  }
+
+  function formatLength(mm) {
+    var unit = findUnit(currentUnit);
+    if (unit.fractional) return mmToFractionalInches(mm, currentPrecision);
+    return toFixedNoNegativeZero(mm / unit.factor, unitDecimals[unit.id]) + unit.suffix;
+  }
 
-  // Number-prefix sequence state (for Nv, Nh, Ny, N{x|y|z}y sequences)
-  var numPrefix = "";     // buffered digit(s)
-  var numAxis = "";       // buffered axis letter (x, y, or z) for N{axis}y
-  var numPrefixTime = 0;
-  const NUM_PREFIX_TIMEOUT_MS = 1500;
+  // Areas (mm²) and volumes (mm³). Fractions make no sense here, so the
+  // fractional inch unit falls back to decimal inches.
+  function formatPower(value, power) {
+    var unit = findUnit(currentUnit);
+    if (unit.fractional) unit = findUnit("in");
+    var text = toFixedNoNegativeZero(value / Math.pow(unit.factor, power), unitDecimals[unit.id]);
+    return unit.suffix ? text + " " + unit.symbol + SUPERSCRIPTS[power] : text;
+  }
+
+  // 90 -> "90.000", "1.5708 rad", "90° 0' 0.0\""
+  function formatAngle(deg) {
+    if (currentAngleUnit === "rad") {
+      return toFixedNoNegativeZero(deg * Math.PI / 180, 4) + " rad";
+    }
+    if (currentAngleUnit === "dms") {
+      var negative = deg < 0;
+      var tenths = Math.round(Math.abs(deg) * 36000);  // tenths of a second
+      var d = Math.floor(tenths / 36000);
+      var m = Math.floor((tenths % 36000) / 600);
+      var sec = (tenths % 600) / 10;
+      return (negative && tenths > 0 ? "-" : "") + d + "° " + m + "' " + sec.toFixed(1) + '"';
+    }
+    return deg.toFixed(VIEWER_DECIMALS);
+  }
+
+  function formatMeasurement(value, dimension) {
+    if (dimension === "angle") return formatAngle(value);
+    if (dimension === "length") return formatLength(value);
+    return formatPower(value, DIMENSION_POWERS[dimension]);
+  }
 
-  // v-prefix sequence state (for vt, ve, vg, etc.)
-  var vPrefixActive = false;
-  var vPrefixTime = 0;
+  // "4 decimals (cm)", "1/16\"" — describes the current display resolution
+  function describePrecision() {
+    var unit = findUnit(currentUnit);
+    if (unit.fractional) return '1/' + currentPrecision + '"';
+    var places = unitDecimals[unit.id];
+    return places + " decimal" + (places === 1 ? "" : "s") + " (" + unit.label + ")";
+  }
 
   // =========================================================================
-  // Unit Conversion State (session-only, resets on page load)
+  // Unit Conversion State (persisted in chrome.storage.sync, see
+  // "Unit settings persistence" below)
   // =========================================================================
 
-  var currentUnit = "mm";       // "mm" or "inch"
-  var currentPrecision = 16;    // denominator: 8, 16, or 32
+  var currentUnit = "mm";       // id from UNITS
+  var alternateUnit = "frac";   // unit the toggle key switches to from mm
+  var currentPrecision = 16;    // fractional inch denominator: 8, 16, or 32
+  var currentAngleUnit = "deg"; // id from ANGLE_UNITS
+  var unitDecimals = defaultUnitDecimals(); // unit id -> decimal places
   var useFeet = false;          // when true, show feet+inches for >= 12"
   var toolbarEl = null;
-  var unitPollTimer = null;
-  var cellMmCache = new WeakMap();   // cell -> mm value
+  var cellMmCache = new WeakMap();   // cell -> viewer value (mm, mm², mm³ or degrees)
   var cellTextCache = new WeakMap(); // cell -> last text we wrote
 
   // =========================================================================
@@ -163,24 +255,38 @@
 
   // =========================================================================
   // Measurement Cell Rewriting (direct textContent replacement)
-  // Original mm values stored in a WeakMap — no DOM attributes added.
+  // Original viewer values stored in a WeakMap — no DOM attributes added.
   // =========================================================================
 
-  function isAngleRow(cell) {
+  // Classify a cell by the physical dimension of its row, from the header
+  // text: "length" (the default), "area", "volume", "angle" or "unitless".
+  // Unitless rows (counts, types) are never rewritten.
+  const DIMENSION_PATTERNS = [
+    { dimension: "angle",    pattern: /angle/ },
+    { dimension: "area",     pattern: /area/ },
+    { dimension: "volume",   pattern: /volume/ },
+    { dimension: "unitless", pattern: /count|number|ratio|type|vertices|edges|faces|solids|shells/ },
+  ];
+
+  function rowDimension(cell) {
     var row = cell.closest("tr");
-    if (!row) return false;
+    if (!row) return "length";
     var headers = row.querySelectorAll("th");
     for (var i = 0; i < headers.length; i++) {
-      if (headers[i].textContent.trim().toLowerCase() === "angle") return true;
+      var text = headers[i].textContent.trim().toLowerCase();
+      for (var j = 0; j < DIMENSION_PATTERNS.length; j++) {
+        if (DIMENSION_PATTERNS[j].pattern.test(text)) return DIMENSION_PATTERNS[j].dimension;
+      }
     }
-    return false;
+    return "length";
   }
 
   function convertAllCells() {
     var cells = document.querySelectorAll(MEASURE_VAL_SELECTOR);
     for (var i = 0; i < cells.length; i++) {
       var cell = cells[i];
-      if (isAngleRow(cell)) continue;
+      var dimension = rowDimension(cell);
+      if (dimension === "unitless") continue;
 
       var text = cell.textContent.trim();
 
@@ -203,19 +309,12 @@
         cellMmCache.set(cell, parsed);
       }
 
-      var originalMm = cellMmCache.get(cell);
-      var newText;
-
-      if (currentUnit === "inch") {
-        newText = mmToFractionalInches(originalMm, currentPrecision);
-      } else {
-        newText = originalMm.toFixed(3);
-      }
+      var newText = formatMeasurement(cellMmCache.get(cell), dimension);
 
       // Only write if the text actually changed (avoid unnecessary DOM mutations
       // that can trigger the viewer's MutationObserver feedback loop)
       if (cell.textContent !== newText) {
-        cell.textContent = newText;
+        setCellText(cell, newText);
       }
       cellTextCache.set(cell, newText);
     }
@@ -226,80 +325,171 @@
     for (var i = 0; i < cells.length; i++) {
       var cell = cells[i];
       if (cellMmCache.has(cell)) {
-        var mmText = cellMmCache.get(cell).toFixed(3);
-        if (cell.textContent !== mmText) {
-          cell.textContent = mmText;
+        var viewerText = cellMmCache.get(cell).toFixed(VIEWER_DECIMALS);
+        if (cell.textContent !== viewerText) {
+          setCellText(cell, viewerText);
         }
-        cellTextCache.set(cell, mmText);
+        cellTextCache.set(cell, viewerText);
         cellMmCache.delete(cell);
       }
     }
   }
 
+  // Detect when the viewer updated values or added/removed cells since the
+  // last conversion. Called from the change observers while converting.
+  function cellsNeedConversion() {
+    var cells = document.querySelectorAll(MEASURE_VAL_SELECTOR);
+    for (var i = 0; i < cells.length; i++) {
+      var cell = cells[i];
+      if (rowDimension(cell) === "unitless") continue;
+
+      // New cell we haven't seen
+      if (!cellMmCache.has(cell)) return true;
+
+      // Viewer overwrote our converted value
+      if (cell.textContent.trim() !== cellTextCache.get(cell)) return true;
+    }
+    return false;
+  }
+
   // =========================================================================
-  // Polling — detect when viewer updates values or adds/removes cells
-  // Only active while in inch mode.
+  // Unit switching
   // =========================================================================
 
-  function startUnitPoll() {
-    if (unitPollTimer) return;
-    unitPollTimer = setInterval(function () {
-      if (currentUnit !== "inch") return;
-
-      var cells = document.querySelectorAll(MEASURE_VAL_SELECTOR);
-      if (cells.length === 0) return;
+  function refreshCells() {
+    if (isConversionActive()) {
+      convertAllCells();
+    } else {
+      restoreAllCells();
+    }
+    renderPinnedCards();
+    renderChainOverlay();
+  }
 
-      var needsUpdate = false;
-      for (var i = 0; i < cells.length; i++) {
-        var cell = cells[i];
-        if (isAngleRow(cell)) continue;
+  function switchUnit(newUnit) {
+    if (newUnit === currentUnit || !findUnit(newUnit)) return;
+    currentUnit = newUnit;
+    if (newUnit !== VIEWER_UNIT) alternateUnit = newUnit;
+    updateToolbar();
+    saveUnitSettings();
+    refreshCells();
+  }
 
-        // New cell we haven't seen
-        if (!cellMmCache.has(cell)) {
-          needsUpdate = true;
-          break;
-        }
+  function setPrecision(denom) {
+    currentPrecision = denom;
+    updateToolbar();
+    saveUnitSettings();
+    refreshCells();
+  }
 
-        // Check if viewer overwrote our converted value
-        var text = cell.textContent.trim();
-        var lastWritten = cellTextCache.get(cell);
-        if (text !== lastWritten) {
-          cellMmCache.delete(cell);
-          cellTextCache.delete(cell);
-          needsUpdate = true;
-          break;
-        }
-      }
+  function setDecimals(unitId, places) {
+    unitDecimals[unitId] = places;
+    updateToolbar();
+    saveUnitSettings();
+    refreshCells();
+  }
 
-      if (needsUpdate) {
-        convertAllCells();
-      }
-    }, UNIT_POLL_MS);
+  function setUseFeet(enabled) {
+    useFeet = enabled;
+    updateToolbar();
+    saveUnitSettings();
+    refreshCells();
   }
 
-  function stopUnitPoll() {
-    if (unitPollTimer) {
-      clearInterval(unitPollTimer);
-      unitPollTimer = null;
-    }
+  function setAngleUnit(id) {
+    if (!findAngleUnit(id)) return;
+    currentAngleUnit = id;
+    updateToolbar();
+    saveUnitSettings();
+    refreshCells();
   }
 
   // =========================================================================
-  // Unit switching
+  // Unit settings persistence
+  //
+  // Stored under "unitSettings", or "unitSettings:<origin>" when the
+  // "unitSettingsPerOrigin" option is enabled on the options page. Other
+  // viewer tabs pick up changes through chrome.storage.onChanged.
   // =========================================================================
 
-  function switchUnit(newUnit) {
-    if (newUnit === currentUnit) return;
-    currentUnit = newUnit;
+  const UNIT_SETTINGS_KEY = "unitSettings";
+  const UNIT_SETTINGS_PER_ORIGIN_KEY = "unitSettingsPerOrigin";
+
+  var unitSettingsPerOrigin = false;
+  var unitSettingsLoaded = false;  // don't overwrite stored settings with defaults
+
+  function unitSettingsKey() {
+    return unitSettingsPerOrigin
+      ? UNIT_SETTINGS_KEY + ":" + location.origin
+      : UNIT_SETTINGS_KEY;
+  }
+
+  function saveUnitSettings() {
+    if (!unitSettingsLoaded) return;
+    var items = {};
+    items[unitSettingsKey()] = {
+      unit: currentUnit,
+      alternateUnit: alternateUnit,
+      precision: currentPrecision,
+      useFeet: useFeet,
+      angleUnit: currentAngleUnit,
+      decimals: unitDecimals,
+    };
+    chrome.storage.sync.set(items);
+  }
+
+  // Settings written before the unit registry used "inch" for fractional inches
+  function migrateUnitId(id) {
+    return id === "inch" ? "frac" : id;
+  }
+
+  function applyUnitSettings(settings) {
+    if (!settings) return;
+    if (PRECISIONS.indexOf(settings.precision) !== -1) currentPrecision = settings.precision;
+    if (typeof settings.useFeet === "boolean") useFeet = settings.useFeet;
+    if (findAngleUnit(settings.angleUnit)) currentAngleUnit = settings.angleUnit;
+
+    var stored = settings.decimals || {};
+    for (var id in unitDecimals) {
+      var places = stored[id];
+      if (typeof places === "number" && places >= 0 && places <= MAX_DECIMALS) {
+        unitDecimals[id] = places;
+      }
+    }
+
+    var alternate = migrateUnitId(settings.alternateUnit);
+    if (findUnit(alternate) && alternate !== VIEWER_UNIT) alternateUnit = alternate;
+
+    var unit = migrateUnitId(settings.unit);
+    if (findUnit(unit) && unit !== currentUnit) {
+      switchUnit(unit);
+      return;
+    }
     updateToolbar();
+    refreshCells();
+  }
 
-    if (currentUnit === "inch") {
-      convertAllCells();
-      startUnitPoll();
-    } else {
-      restoreAllCells();
-      stopUnitPoll();
+  function loadUnitSettings(callback) {
+    var query = {};
+    query[UNIT_SETTINGS_PER_ORIGIN_KEY] = false;
+    chrome.storage.sync.get(query, function (items) {
+      unitSettingsPerOrigin = !!items[UNIT_SETTINGS_PER_ORIGIN_KEY];
+      var key = unitSettingsKey();
+      chrome.storage.sync.get(key, function (stored) {
+        applyUnitSettings(stored[key]);
+        unitSettingsLoaded = true;
+        if (callback) callback();
+      });
+    });
+  }
+
+  function handleUnitSettingsChange(changes) {
+    if (changes[UNIT_SETTINGS_PER_ORIGIN_KEY]) {
+      loadUnitSettings();
+      return;
     }
+    var change = changes[unitSettingsKey()];
+    if (change && change.newValue) applyUnitSettings(change.newValue);
   }
 
   // =========================================================================
@@ -324,24 +514,33 @@
 
   function updateToolbar() {
     if (!toolbarEl) return;
+    var fractional = !!findUnit(currentUnit).fractional;
+
+    var unitSelect = toolbarEl.querySelector("#ocp-unit-select");
+    unitSelect.value = currentUnit;
+    styleToolbarButton(unitSelect, isConversionActive());
 
-    var unitBtn = toolbarEl.querySelector("#ocp-unit-btn");
-    unitBtn.textContent = currentUnit === "mm" ? "mm" : "inch";
-    styleToolbarButton(unitBtn, currentUnit === "inch");
+    var decimalsBtn = toolbarEl.querySelector("#ocp-decimals-btn");
+    decimalsBtn.style.display = fractional ? "none" : "inline-block";
+    if (!fractional) decimalsBtn.textContent = unitDecimals[currentUnit] + " dp";
 
     var precBtns = toolbarEl.querySelectorAll(".ocp-prec-btn");
     for (var i = 0; i < precBtns.length; i++) {
       var btn = precBtns[i];
       var denom = parseInt(btn.getAttribute("data-precision"), 10);
-      btn.style.display = currentUnit === "inch" ? "inline-block" : "none";
+      btn.style.display = fractional ? "inline-block" : "none";
       styleToolbarButton(btn, denom === currentPrecision);
     }
 
     var feetBtn = toolbarEl.querySelector("#ocp-feet-btn");
     if (feetBtn) {
-      feetBtn.style.display = currentUnit === "inch" ? "inline-block" : "none";
+      feetBtn.style.display = fractional ? "inline-block" : "none";
       styleToolbarButton(feetBtn, useFeet);
     }
+
+    var angleBtn = toolbarEl.querySelector("#ocp-angle-btn");
+    angleBtn.textContent = findAngleUnit(currentAngleUnit).label;
+    styleToolbarButton(angleBtn, currentAngleUnit !== "deg");
   }
 
   function createToolbar() {
@@ -362,17 +561,38 @@
       fontSize: "12px",
     });
 
-    var unitBtn = document.createElement("button");
-    unitBtn.id = "ocp-unit-btn";
-    unitBtn.textContent = "mm";
-    unitBtn.style.pointerEvents = "auto"; // only buttons are clickable
-    styleToolbarButton(unitBtn, false);
-    unitBtn.addEventListener("click", function (e) {
+    // Unit picker
+    var unitSelect = document.createElement("select");
+    unitSelect.id = "ocp-unit-select";
+    unitSelect.title = "Display unit";
+    unitSelect.style.pointerEvents = "auto"; // only controls are clickable
+    for (var u = 0; u < UNITS.length; u++) {
+      var option = document.createElement("option");
+      option.value = UNITS[u].id;
+      option.textContent = UNITS[u].label;
+      option.title = UNITS[u].name;
+      unitSelect.appendChild(option);
+    }
+    styleToolbarButton(unitSelect, false);
+    unitSelect.addEventListener("change", function (e) {
       e.stopPropagation();
-      switchUnit(currentUnit === "mm" ? "inch" : "mm");
-      showToast("Units: " + (currentUnit === "mm" ? "mm" : "inches"), true);
+      switchUnit(unitSelect.value);
+      unitSelect.blur();  // give keyboard focus back to the viewer
+      showToast("Units: " + findUnit(currentUnit).name, true);
     });
-    toolbarEl.appendChild(unitBtn);
+    toolbarEl.appendChild(unitSelect);
+
+    // Decimal places (decimal units only)
+    var decimalsBtn = document.createElement("button");
+    decimalsBtn.id = "ocp-decimals-btn";
+    decimalsBtn.title = "Decimal places (click to cycle)";
+    decimalsBtn.style.pointerEvents = "auto";
+    styleToolbarButton(decimalsBtn, false);
+    decimalsBtn.addEventListener("click", function (e) {
+      e.stopPropagation();
+      cyclePrecision();
+    });
+    toolbarEl.appendChild(decimalsBtn);
 
     for (var p = 0; p < PRECISIONS.length; p++) {
       (function (denom) {
@@ -385,16 +605,14 @@
         btn.style.display = "none";
         btn.addEventListener("click", function (e) {
           e.stopPropagation();
-          currentPrecision = denom;
-          updateToolbar();
-          convertAllCells();
+          setPrecision(denom);
           showToast('Precision: 1/' + denom + '"', true);
         });
         toolbarEl.appendChild(btn);
       })(PRECISIONS[p]);
     }
 
-    // Feet toggle (visible only in inch mode)
+    // Feet toggle (visible only for fractional inches)
     var feetBtn = document.createElement("button");
     feetBtn.id = "ocp-feet-btn";
     feetBtn.textContent = "ft";
@@ -403,13 +621,23 @@
     feetBtn.style.display = "none";
     feetBtn.addEventListener("click", function (e) {
       e.stopPropagation();
-      useFeet = !useFeet;
-      updateToolbar();
-      convertAllCells();
+      setUseFeet(!useFeet);
       showToast("Feet: " + (useFeet ? "ON" : "OFF"), useFeet);
     });
     toolbarEl.appendChild(feetBtn);
 
+    // Angle mode (deg / rad / DMS)
+    var angleBtn = document.createElement("button");
+    angleBtn.id = "ocp-angle-btn";
+    angleBtn.title = "Angle unit (click to cycle)";
+    angleBtn.style.pointerEvents = "auto";
+    styleToolbarButton(angleBtn, false);
+    angleBtn.addEventListener("click", function (e) {
+      e.stopPropagation();
+      cycleAngleUnit();
+    });
+    toolbarEl.appendChild(angleBtn);
+
     document.body.appendChild(toolbarEl);
     updateToolbar();
   }
@@ -418,30 +646,25 @@
   // Copy Buttons for Properties and Distance Panels
   // =========================================================================
 
-  var copyBtnPollTimer = null;
-
-  // Get cell value (original mm if cached, otherwise parse displayed text)
+  // Get cell value (original mm if cached, otherwise parse displayed text).
+  // If the viewer overwrote a converted cell since we last wrote it, the cache
+  // is stale and the displayed text is the new mm value.
   function getCellValue(cell) {
     if (!cell) return NaN;
-    return cellMmCache.has(cell) ? cellMmCache.get(cell) : parseFloat(cell.textContent);
+    if (cellMmCache.has(cell) && cell.textContent.trim() === cellTextCache.get(cell)) {
+      return cellMmCache.get(cell);
+    }
+    return parseFloat(cell.textContent);
   }
 
-  // Copy coordinates (x, y, z) from a row
-  function copyCoords(row, label) {
-    var xCell = row.querySelector(".tcv_x_measure_val");
-    var yCell = row.querySelector(".tcv_y_measure_val");
-    var zCell = row.querySelector(".tcv_z_measure_val");
-
-    if (!xCell || !yCell || !zCell) {
+  // Copy coordinates (x, y, z) from a row in the given yank format
+  function copyCoords(row, label, format) {
+    if (!rowHasCoords(row)) {
       showToast("Could not find coordinates", false);
       return;
     }
 
-    var x = getCellValue(xCell);
-    var y = getCellValue(yCell);
-    var z = getCellValue(zCell);
-
-    var coords = x.toFixed(3) + ", " + y.toFixed(3) + ", " + z.toFixed(3);
+    var coords = formatRowValues(row, format);
 
     navigator.clipboard.writeText(coords).then(function () {
       showToast("Copied " + label + ": " + coords, true);
@@ -450,28 +673,14 @@
     });
   }
 
-  // Copy a single value from a row
-  function copySingleValue(row, label) {
-    // Find the single tcv_measure_val cell (not x/y/z)
-    var cells = row.querySelectorAll(".tcv_measure_val");
-    var valueCell = null;
-    for (var i = 0; i < cells.length; i++) {
-      var cell = cells[i];
-      if (!cell.classList.contains("tcv_x_measure_val") &&
-          !cell.classList.contains("tcv_y_measure_val") &&
-          !cell.classList.contains("tcv_z_measure_val")) {
-        valueCell = cell;
-        break;
-      }
-    }
-
-    if (!valueCell) {
+  // Copy a single value from a row in the given yank format
+  function copySingleValue(row, label, format) {
+    if (!findSingleValueCell(row)) {
       showToast("Could not find value", false);
       return;
     }
 
-    var val = getCellValue(valueCell);
-    var text = val.toFixed(3);
+    var text = formatRowValues(row, format);
 
     navigator.clipboard.writeText(text).then(function () {
       showToast("Copied " + label + ": " + text, true);
@@ -526,10 +735,15 @@
   }
 
   function createOverlayCopyButton(label, clickHandler) {
+    return createOverlayButton("\u{1F4CB}", "Copy " + label + " (Shift: Vector, Alt: tuple, Ctrl: JSON)",
+                               clickHandler);
+  }
+
+  function createOverlayButton(text, title, clickHandler) {
     var btn = document.createElement("button");
     btn.className = "ocp-copy-overlay-btn";
-    btn.textContent = "\u{1F4CB}";
-    btn.title = "Copy " + label;
+    btn.textContent = text;
+    btn.title = title;
     Object.assign(btn.style, {
       position: "absolute",
       padding: "2px 5px",
@@ -554,7 +768,7 @@
     btn.addEventListener("click", function (e) {
       e.stopPropagation();
       e.preventDefault();
-      clickHandler();
+      clickHandler(e);
     });
 
     return btn;
@@ -577,10 +791,10 @@
     return sig;
   }
 
-  function updateCopyButtonOverlay() {
-    // Only rebuild if panel content actually changed
+  function updateCopyButtonOverlay(force) {
+    // Only rebuild if panel content actually changed (or a panel moved/resized)
     var sig = buildOverlaySignature();
-    if (sig === lastOverlaySignature) return;
+    if (sig === lastOverlaySignature && !force) return;
     lastOverlaySignature = sig;
 
     var container = getOverlayContainer();
@@ -593,6 +807,17 @@
       var panel = panels[i];
       if (panel.style.display === "none") continue;
 
+      // Pin button inside the panel's top-right corner; measured once it
+      // is in the page
+      (function (p) {
+        var panelRect = p.getBoundingClientRect();
+        var pinBtn = createOverlayButton("\u{1F4CC}", "Pin as a floating card (" + keyLabelFor("pinMeasurement") + ")",
+                                         function () { pinPanel(p); });
+        container.appendChild(pinBtn);
+        pinBtn.style.top = (panelRect.top + 4) + "px";
+        pinBtn.style.left = (panelRect.right - pinBtn.offsetWidth - 4) + "px";
+      })(panel);
+
       var rows = panel.querySelectorAll("tr");
       for (var j = 0; j < rows.length; j++) {
         var row = rows[j];
@@ -611,10 +836,10 @@
         if (hasCoords) {
           // Row-level copy (all coords)
           (function (r) {
-            var btn = createOverlayCopyButton("coordinates", function () {
+            var btn = createOverlayCopyButton("coordinates", function (e) {
               var label = r.querySelector("th.tcv_measure_key");
               var lbl = label ? label.textContent.trim() : "value";
-              copyCoords(r, lbl);
+              copyCoords(r, lbl, yankFormatForEvent(e));
             });
             btn.style.top = (thRect.top + thRect.height / 2 - 8) + "px";
             btn.style.left = (thRect.left - 24) + "px";
@@ -623,10 +848,10 @@
         } else {
           // Single value copy
           (function (r) {
-            var btn = createOverlayCopyButton("value", function () {
+            var btn = createOverlayCopyButton("value", function (e) {
               var label = r.querySelector("th.tcv_measure_key");
               var lbl = label ? label.textContent.trim() : "value";
-              copySingleValue(r, lbl);
+              copySingleValue(r, lbl, yankFormatForEvent(e));
             });
             btn.style.top = (thRect.top + thRect.height / 2 - 8) + "px";
             btn.style.left = (thRect.left - 24) + "px";
@@ -637,11 +862,290 @@
     }
   }
 
-  function startCopyBtnPoll() {
-    if (copyBtnPollTimer) return;
-    // Poll at a moderate rate but NEVER modify the viewer's panel DOM.
-    // We only read positions and update our external overlay.
-    copyBtnPollTimer = setInterval(updateCopyButtonOverlay, COPY_BTN_POLL_MS);
+  // =========================================================================
+  // Change Detection (replaces interval polling)
+  //
+  // Observers, all watching nodes we never restructure:
+  //   panelObserver       – MutationObserver on the two measurement panels:
+  //                         values rewritten, rows added/removed, shown/hidden
+  //   panelResizeObserver – ResizeObserver on the same panels, to re-position
+  //                         the copy-button overlay
+  //   domObserver         – MutationObserver (childList only) on document.body,
+  //                         to find panels the viewer creates or re-creates
+  //
+  // Our own nodes (id "ocp-*") are ignored. The cells are the one place we
+  // write into an observed node, and setCellText() takes the records of
+  // those writes off panelObserver's queue before it runs, so the observers
+  // only ever report the viewer's own changes and a rewrite of ours never
+  // causes another round.
+  // =========================================================================
+
+  var panelObserver = null;
+  var panelResizeObserver = null;
+  var domObserver = null;
+  var observedPanels = [];
+  var viewerUpdateFrame = 0;
+  var overlayNeedsLayout = false;
+
+  // Writes a converted value into a viewer cell without panelObserver
+  // seeing it. Records queued before the write are the viewer's and still
+  // trigger an update.
+  function setCellText(cell, text) {
+    var pending = panelObserver ? panelObserver.takeRecords() : [];
+    cell.textContent = text;
+    if (panelObserver) panelObserver.takeRecords();
+    if (pending.length > 0) scheduleViewerUpdate(false);
+  }
+
+  function findMeasurementPanels() {
+    var panels = document.querySelectorAll(PROPERTIES_PANEL_SELECTOR + ", " + DISTANCE_PANEL_SELECTOR);
+    return Array.prototype.slice.call(panels);
+  }
+
+  function isOwnNode(node) {
+    var el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return !!(el && el.closest('[id^="ocp-"]'));
+  }
+
+  // (Re)attach the panel observers if the set of panels changed
+  function observePanels() {
+    var panels = findMeasurementPanels();
+    var same = panels.length === observedPanels.length &&
+               panels.every(function (p, i) { return p === observedPanels[i]; });
+    if (same) return;
+
+    panelObserver.disconnect();
+    panelResizeObserver.disconnect();
+    observedPanels = panels;
+    for (var i = 0; i < panels.length; i++) {
+      panelObserver.observe(panels[i], {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ["style", "class"],
+      });
+      panelResizeObserver.observe(panels[i]);
+    }
+    scheduleViewerUpdate(true);
+  }
+
+  function affectsPanels(mutations) {
+    for (var i = 0; i < mutations.length; i++) {
+      var m = mutations[i];
+      if (isOwnNode(m.target)) continue;
+      for (var a = 0; a < m.addedNodes.length; a++) {
+        var added = m.addedNodes[a];
+        if (added.nodeType !== Node.ELEMENT_NODE || isOwnNode(added)) continue;
+        if (added.matches(PROPERTIES_PANEL_SELECTOR + ", " + DISTANCE_PANEL_SELECTOR) ||
+            added.querySelector(PROPERTIES_PANEL_SELECTOR + ", " + DISTANCE_PANEL_SELECTOR)) {
+          return true;
+        }
+      }
+      for (var r = 0; r < m.removedNodes.length; r++) {
+        var removed = m.removedNodes[r];
+        for (var p = 0; p < observedPanels.length; p++) {
+          if (removed === observedPanels[p] || removed.contains(observedPanels[p])) return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Coalesce bursts of mutations into one update per frame
+  function scheduleViewerUpdate(relayout) {
+    if (relayout) overlayNeedsLayout = true;
+    if (viewerUpdateFrame) return;
+    viewerUpdateFrame = requestAnimationFrame(function () {
+      viewerUpdateFrame = 0;
+      runViewerUpdate();
+    });
+  }
+
+  function runViewerUpdate() {
+    if (isConversionActive() && cellsNeedConversion()) {
+      convertAllCells();
+    }
+    updateCopyButtonOverlay(overlayNeedsLayout);
+    overlayNeedsLayout = false;
+    updateCheckOverlay();
+    scheduleHistoryRecord();
+  }
+
+  function startChangeObservers() {
+    if (domObserver) return;
+
+    panelObserver = new MutationObserver(function () {
+      scheduleViewerUpdate(false);
+    });
+    panelResizeObserver = new ResizeObserver(function () {
+      scheduleViewerUpdate(true);
+    });
+    domObserver = new MutationObserver(function (mutations) {
+      if (affectsPanels(mutations)) observePanels();
+      if (treeModeActive && affectsTree(mutations)) scheduleTreeCursorUpdate();
+    });
+    domObserver.observe(document.body, { childList: true, subtree: true });
+
+    window.addEventListener("resize", function () {
+      scheduleViewerUpdate(true);
+    });
+
+    observePanels();
+  }
+
+  // Resolve once the toolbar exists, or after TOOLBAR_WAIT_MS regardless
+  function waitForToolbar(callback) {
+    if (document.querySelector(TOOLBAR_PROBE_SELECTOR)) {
+      callback(true);
+      return;
+    }
+
+    var observer = new MutationObserver(function () {
+      if (document.querySelector(TOOLBAR_PROBE_SELECTOR)) finish(true);
+    });
+    var timer = setTimeout(function () {
+      finish(false);
+    }, TOOLBAR_WAIT_MS);
+
+    function finish(found) {
+      observer.disconnect();
+      clearTimeout(timer);
+      callback(found);
+    }
+
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  // =========================================================================
+  // Yank Formats
+  //
+  // Every yank (keys and overlay buttons) goes through formatRowValues(),
+  // which renders a row in the selected format. Values are always mm with
+  // three decimals. In the build123d formats, distance panel results become
+  // expressions: the distance as (Vector(p2) - Vector(p1)).length and the
+  // delta as a Vector.
+  //
+  // Selected with y f <key>; overlay buttons use Shift/Alt/Ctrl to override.
+  // =========================================================================
+
+  const YANK_FORMATS = {
+    plain:    { key: "p", label: "Plain text", coords: function (c) { return c.join(", "); } },
+    tuple:    { key: "t", label: "Python tuple", coords: function (c) { return "(" + c.join(", ") + ")"; } },
+    json:     { key: "j", label: "JSON array", coords: function (c) { return "[" + c.join(", ") + "]"; } },
+    vector:   { key: "v", label: "build123d Vector", build123d: true, coords: function (c) { return "Vector(" + c.join(", ") + ")"; } },
+    pos:      { key: "o", label: "build123d Pos", build123d: true, coords: function (c) { return "Pos(" + c.join(", ") + ")"; } },
+    location: { key: "l", label: "build123d Location", build123d: true, coords: function (c) { return "Location((" + c.join(", ") + "))"; } },
+  };
+  const YANK_FORMAT_STORAGE_KEY = "yankFormat";
+
+  var currentYankFormat = "plain";
+
+  function formatNumber(value) {
+    var text = value.toFixed(3);
+    return /^-0\.0+$/.test(text) ? text.slice(1) : text;
+  }
+
+  function setYankFormat(format) {
+    if (!YANK_FORMATS[format]) return;
+    currentYankFormat = format;
+    var items = {};
+    items[YANK_FORMAT_STORAGE_KEY] = format;
+    chrome.storage.sync.set(items);
+  }
+
+  function loadYankFormat() {
+    var query = {};
+    query[YANK_FORMAT_STORAGE_KEY] = "plain";
+    chrome.storage.sync.get(query, function (items) {
+      if (YANK_FORMATS[items[YANK_FORMAT_STORAGE_KEY]]) {
+        currentYankFormat = items[YANK_FORMAT_STORAGE_KEY];
+      }
+    });
+  }
+
+  function findYankFormatByKey(key) {
+    for (var id in YANK_FORMATS) {
+      if (YANK_FORMATS[id].key === key) return id;
+    }
+    return null;
+  }
+
+  // Overlay button modifiers pick a one-off format
+  function yankFormatForEvent(e) {
+    if (e && e.shiftKey) return "vector";
+    if (e && e.altKey) return "tuple";
+    if (e && (e.ctrlKey || e.metaKey)) return "json";
+    return currentYankFormat;
+  }
+
+  function findRowByLabel(rows, pattern) {
+    for (var i = 0; i < rows.length; i++) {
+      if (pattern.test(getRowLabel(rows[i]))) return rows[i];
+    }
+    return null;
+  }
+
+  function vectorLiteral(row) {
+    return YANK_FORMATS.vector.coords(getRowValues(row).map(formatNumber));
+  }
+
+  // build123d expression for a distance panel row, or null for rows that
+  // are yanked as plain values (the two points, angles)
+  function distanceExpression(row) {
+    var panel = row.closest(DISTANCE_PANEL_SELECTOR);
+    if (!panel) return null;
+
+    var rows = getPanelRows(panel);
+    var p1 = findRowByLabel(rows, /point\s*1|^p1$|start/i);
+    var p2 = findRowByLabel(rows, /point\s*2|^p2$|end/i);
+    var label = getRowLabel(row);
+
+    if (rowHasCoords(row)) {
+      if (row === p1 || row === p2) return null;
+      // Any other coordinate row in the distance panel is the delta vector
+      return vectorLiteral(row);
+    }
+    if (/distance/i.test(label) && p1 && p2 && rowHasCoords(p1) && rowHasCoords(p2)) {
+      return "(" + vectorLiteral(p2) + " - " + vectorLiteral(p1) + ").length";
+    }
+    return null;
+  }
+
+  // "Point 1" -> "point_1", "BB min" -> "bb_min"
+  function toIdentifier(label) {
+    var id = label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+    if (id === "") id = "value";
+    if (/^[0-9]/.test(id)) id = "_" + id;
+    return id;
+  }
+
+  // Whole table: "label: values" lines for plain text, a JSON object for
+  // JSON, and Python assignments for the tuple and build123d formats
+  function formatTable(rows, format) {
+    var i;
+    if (format === "plain") {
+      return rows.map(formatRowText).join("\n");
+    }
+
+    if (format === "json") {
+      var obj = {};
+      for (i = 0; i < rows.length; i++) {
+        var values = getRowValues(rows[i]).map(function (v) { return Number(formatNumber(v)); });
+        obj[getRowLabel(rows[i])] = values.length === 1 ? values[0] : values;
+      }
+      return JSON.stringify(obj, null, 2);
+    }
+
+    var used = {};
+    var lines = [];
+    for (i = 0; i < rows.length; i++) {
+      var name = toIdentifier(getRowLabel(rows[i]));
+      if (used[name]) name += "_" + (++used[name]);
+      else used[name] = 1;
+      lines.push(name + " = " + formatRowValues(rows[i], format));
+    }
+    return lines.join("\n");
   }
 
   // =========================================================================
@@ -653,7 +1157,7 @@
   //   Ny         — yank row N values (comma-separated if xyz)
   //   N{x|y|z}y  — yank specific axis of row N ("Wrong yank" if single-value row)
   //
-  // Number prefix is handled by the existing numPrefix system in handleKeyDown.
+  // The sequences themselves are registered in buildSequences().
   // =========================================================================
 
   // Get the visible panel (distance takes priority over properties)
@@ -692,103 +1196,75 @@
 
   // Format row values as text: "label: value" or "label: x, y, z"
   function formatRowText(row) {
-    var label = getRowLabel(row);
-    if (rowHasCoords(row)) {
-      var x = getCellValue(row.querySelector(".tcv_x_measure_val"));
-      var y = getCellValue(row.querySelector(".tcv_y_measure_val"));
-      var z = getCellValue(row.querySelector(".tcv_z_measure_val"));
-      return label + ": " + x.toFixed(3) + ", " + y.toFixed(3) + ", " + z.toFixed(3);
-    }
-    // Single value
-    var cells = row.querySelectorAll(".tcv_measure_val");
-    for (var i = 0; i < cells.length; i++) {
-      var cell = cells[i];
-      if (!cell.classList.contains("tcv_x_measure_val") &&
-          !cell.classList.contains("tcv_y_measure_val") &&
-          !cell.classList.contains("tcv_z_measure_val")) {
-        var val = getCellValue(cell);
-        return label + ": " + val.toFixed(3);
-      }
-    }
-    return label + ": ?";
+    var values = getRowValues(row);
+    if (values.length === 0) return getRowLabel(row) + ": ?";
+    return getRowLabel(row) + ": " + values.map(formatNumber).join(", ");
   }
 
-  // Format row values only (no label): "value" or "x, y, z"
-  function formatRowValues(row) {
-    if (rowHasCoords(row)) {
-      var x = getCellValue(row.querySelector(".tcv_x_measure_val"));
-      var y = getCellValue(row.querySelector(".tcv_y_measure_val"));
-      var z = getCellValue(row.querySelector(".tcv_z_measure_val"));
-      return x.toFixed(3) + ", " + y.toFixed(3) + ", " + z.toFixed(3);
+  // Format row values only (no label) in a yank format, defaulting to the
+  // selected one: "value", "x, y, z", "Vector(x, y, z)", ...
+  function formatRowValues(row, format) {
+    var fmt = YANK_FORMATS[format || currentYankFormat];
+    var values = getRowValues(row);
+    if (values.length === 0) return "?";
+    if (fmt.build123d) {
+      var expr = distanceExpression(row);
+      if (expr) return expr;
     }
-    var cells = row.querySelectorAll(".tcv_measure_val");
-    for (var i = 0; i < cells.length; i++) {
-      var cell = cells[i];
-      if (!cell.classList.contains("tcv_x_measure_val") &&
-          !cell.classList.contains("tcv_y_measure_val") &&
-          !cell.classList.contains("tcv_z_measure_val")) {
-        return getCellValue(cell).toFixed(3);
-      }
-    }
-    return "?";
+    return values.length === 3
+      ? fmt.coords(values.map(formatNumber))
+      : formatNumber(values[0]);
   }
 
   // Yank whole table as formatted text (0y)
   function yankWholeTable() {
     var panel = getVisiblePanel();
     if (!panel) {
-      showToast("No panel visible", false);
+      yankFailed("No panel visible");
       return;
     }
     var rows = getPanelRows(panel);
-    var lines = [];
-    for (var i = 0; i < rows.length; i++) {
-      lines.push(formatRowText(rows[i]));
-    }
-    var text = lines.join("\n");
-    navigator.clipboard.writeText(text).then(function () {
-      showToast("Copied table (" + rows.length + " rows)", true);
-    }).catch(function () {
-      showToast("Copy failed", false);
-    });
+    var text = formatTable(rows, currentYankFormat);
+    deliverYank(text, "Table", "table (" + rows.length + " rows)");
   }
 
   // Yank row N values (Ny)
   function yankRowN(n) {
     var panel = getVisiblePanel();
     if (!panel) {
-      showToast("No panel visible", false);
+      yankFailed("No panel visible");
       return;
     }
     var rows = getPanelRows(panel);
     if (n < 1 || n > rows.length) {
-      showToast("Row " + n + " not found (only " + rows.length + " rows)", false);
+      yankFailed("Row " + n + " not found (only " + rows.length + " rows)");
       return;
     }
     var row = rows[n - 1];
     var label = getRowLabel(row);
     var values = formatRowValues(row);
-    navigator.clipboard.writeText(values).then(function () {
-      showToast("Copied " + label + ": " + values, true);
-    }).catch(function () {
-      showToast("Copy failed", false);
-    });
+    deliverYank(values, label, label + ": " + values);
   }
 
   // Yank specific axis of row N (N{x|y|z}y)
   function yankRowAxis(n, axis) {
     var panel = getVisiblePanel();
     if (!panel) {
-      showToast("No panel visible", false);
+      yankFailed("No panel visible");
       return;
     }
     var rows = getPanelRows(panel);
     if (n < 1 || n > rows.length) {
-      showToast("Row " + n + " not found (only " + rows.length + " rows)", false);
+      yankFailed("Row " + n + " not found (only " + rows.length + " rows)");
       return;
     }
     var row = rows[n - 1];
     if (!rowHasCoords(row)) {
+      if (yankReceiver) {
+        yankFailed("Wrong yank — single value row");
+        return;
+      }
+      activeRegister = null;
       navigator.clipboard.writeText("Wrong yank").then(function () {
         showToast("Wrong yank — single value row", false);
       }).catch(function () {
@@ -799,345 +1275,4402 @@
     var cellClass = ".tcv_" + axis + "_measure_val";
     var cell = row.querySelector(cellClass);
     if (!cell) {
-      showToast(axis.toUpperCase() + " not found", false);
+      yankFailed(axis.toUpperCase() + " not found");
       return;
     }
-    var val = getCellValue(cell);
-    var text = val.toFixed(3);
+    var text = formatNumber(getCellValue(cell));
     var label = getRowLabel(row);
-    navigator.clipboard.writeText(text).then(function () {
-      showToast("Copied " + label + " " + axis.toUpperCase() + ": " + text, true);
-    }).catch(function () {
-      showToast("Copy failed", false);
-    });
+    deliverYank(text, label + " " + axis.toUpperCase(), label + " " + axis.toUpperCase() + ": " + text);
   }
 
   // Yank primary value (yy) — first row of visible panel
   function yankPrimary() {
     var panel = getVisiblePanel();
     if (!panel) {
-      showToast("No panel visible", false);
+      yankFailed("No panel visible");
       return;
     }
     var rows = getPanelRows(panel);
     if (rows.length === 0) {
-      showToast("No data rows", false);
+      yankFailed("No data rows");
       return;
     }
     var row = rows[0];
     var label = getRowLabel(row);
     var values = formatRowValues(row);
-    navigator.clipboard.writeText(values).then(function () {
-      showToast("Copied " + label + ": " + values, true);
+    deliverYank(values, label, label + ": " + values);
+  }
+
+  // =========================================================================
+  // Yank Registers (vim-style)
+  //
+  //   "a<yank>   — yank into register a instead of the clipboard
+  //   "A<yank>   — append to register a (uppercase name)
+  //   "ap        — put register a onto the clipboard
+  //
+  // Every key yank goes through deliverYank(), which consumes the register
+  // selected with the " prefix. Registers are kept in chrome.storage.local so
+  // they survive a viewer reload.
+  // =========================================================================
+
+  const REGISTERS_STORAGE_KEY = "yankRegisters";
+
+  var registers = {};           // name -> { text, label, time }
+  var registerPending = false;  // " pressed, waiting for the register name
+  var activeRegister = null;    // { name, append } for the next yank
+  var registersPanelEl = null;
+
+  // Set by a yank requested from the popup: gets { text, description } or
+  // { error } instead of the clipboard, because an unfocused page cannot
+  // write to it
+  var yankReceiver = null;
+
+  function loadRegisters() {
+    var query = {};
+    query[REGISTERS_STORAGE_KEY] = {};
+    chrome.storage.local.get(query, function (items) {
+      registers = items[REGISTERS_STORAGE_KEY] || {};
+      renderRegistersPanel();
+    });
+  }
+
+  function saveRegisters() {
+    var items = {};
+    items[REGISTERS_STORAGE_KEY] = registers;
+    chrome.storage.local.set(items);
+  }
+
+  // Write a yank to the selected register, or to the clipboard if none
+  function deliverYank(text, label, description) {
+    var reg = activeRegister;
+    activeRegister = null;
+
+    if (yankReceiver) {
+      var receiver = yankReceiver;
+      yankReceiver = null;
+      receiver({ text: text, description: description });
+      return;
+    }
+
+    if (!reg) {
+      navigator.clipboard.writeText(text).then(function () {
+        showToast("Copied " + description, true);
+      }).catch(function () {
+        showToast("Copy failed", false);
+      });
+      return;
+    }
+
+    var existing = registers[reg.name];
+    if (reg.append && existing) {
+      registers[reg.name] = {
+        text: existing.text + "\n" + text,
+        label: existing.label + ", " + label,
+        time: Date.now(),
+      };
+      showToast('Appended to "' + reg.name + ": " + description, true);
+    } else {
+      registers[reg.name] = { text: text, label: label, time: Date.now() };
+      showToast('Yanked into "' + reg.name + ": " + description, true);
+    }
+    saveRegisters();
+    renderRegistersPanel();
+  }
+
+  function yankFailed(message) {
+    activeRegister = null;
+    if (yankReceiver) {
+      var receiver = yankReceiver;
+      yankReceiver = null;
+      receiver({ error: message });
+    }
+    showToast(message, false);
+  }
+
+  function putRegister(name) {
+    var reg = registers[name];
+    if (!reg) {
+      showToast('Register "' + name + " is empty", false);
+      return;
+    }
+    navigator.clipboard.writeText(reg.text).then(function () {
+      showToast('Put "' + name + " (" + reg.label + ") onto clipboard", true);
     }).catch(function () {
       showToast("Copy failed", false);
     });
   }
 
-  // =========================================================================
-  // Which-Key Panel (shows available yank commands)
-  // =========================================================================
+  function clearRegister(name) {
+    delete registers[name];
+    saveRegisters();
+    renderRegistersPanel();
+  }
 
-  function createWhichKeyPanel() {
-    if (whichKeyEl) return whichKeyEl;
+  function createRegistersPanel() {
+    if (registersPanelEl) return registersPanelEl;
 
-    whichKeyEl = document.createElement("div");
-    whichKeyEl.id = "ocp-whichkey-panel";
-    Object.assign(whichKeyEl.style, {
+    registersPanelEl = document.createElement("div");
+    registersPanelEl.id = "ocp-registers-panel";
+    Object.assign(registersPanelEl.style, {
       position: "fixed",
-      bottom: "44px",
-      right: "12px",
-      padding: "12px 16px",
+      top: "12px",
+      left: "12px",
+      width: "280px",
+      maxHeight: "60vh",
+      overflowY: "auto",
+      display: "none",
+      padding: "10px 12px",
       borderRadius: "8px",
-      fontSize: "13px",
-      fontFamily: "monospace",
+      fontSize: "12px",
+      fontFamily: "system-ui, -apple-system, sans-serif",
       color: "#e0e0e0",
       backgroundColor: "rgba(30, 30, 30, 0.95)",
       border: "1px solid #444",
-      zIndex: "999999",
-      pointerEvents: "none",
-      opacity: "0",
-      transition: "opacity 0.15s ease-in-out",
+      zIndex: "999998",
       boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
     });
 
-    document.body.appendChild(whichKeyEl);
-    return whichKeyEl;
-  }
-
-  function renderWhichKeyOption(key, label, dim) {
-    var keyStyle = "display: inline-block; min-width: 18px; padding: 2px 5px; background: " +
-                   (dim ? "#333" : "#444") + "; border-radius: 3px; margin-right: 8px; text-align: center; color: " +
-                   (dim ? "#666" : "#fff") + "; font-size: 11px;";
-    var labelStyle = dim ? "color: #555;" : "color: #bbb;";
-    return '<div style="display: flex; align-items: center; margin: 2px 0;">' +
-           '<span style="' + keyStyle + '">' + key + '</span>' +
-           '<span style="' + labelStyle + '">' + label + '</span>' +
-           '</div>';
+    document.body.appendChild(registersPanelEl);
+    return registersPanelEl;
   }
 
-  function showWhichKey(mode) {
-    var panel = createWhichKeyPanel();
+  function renderRegistersPanel() {
+    if (!registersPanelEl || registersPanelEl.style.display === "none") return;
+    registersPanelEl.innerHTML = "";
+
+    var title = document.createElement("div");
+    title.textContent = 'Registers ("ap puts a onto the clipboard)';
+    Object.assign(title.style, { color: "#888", fontSize: "11px", marginBottom: "6px" });
+    registersPanelEl.appendChild(title);
+
+    var names = Object.keys(registers).sort();
+    if (names.length === 0) {
+      var empty = document.createElement("div");
+      empty.textContent = "All registers are empty";
+      empty.style.color = "#666";
+      registersPanelEl.appendChild(empty);
+      return;
+    }
 
-    var distPanel = document.querySelector(DISTANCE_PANEL_SELECTOR);
-    var propPanel = document.querySelector(PROPERTIES_PANEL_SELECTOR);
-    var distVisible = distPanel && distPanel.style.display !== "none";
-    var propVisible = propPanel && propPanel.style.display !== "none";
+    for (var i = 0; i < names.length; i++) {
+      (function (name) {
+        var reg = registers[name];
+        var item = document.createElement("div");
+        Object.assign(item.style, { padding: "5px 0", borderBottom: "1px solid #3a3a3a" });
+
+        var header = document.createElement("div");
+        Object.assign(header.style, { display: "flex", alignItems: "center", gap: "6px" });
+
+        var nameEl = document.createElement("span");
+        nameEl.textContent = '"' + name;
+        Object.assign(nameEl.style, { fontFamily: "monospace", fontWeight: "700", color: "#fff" });
+        header.appendChild(nameEl);
+
+        var labelEl = document.createElement("span");
+        labelEl.textContent = reg.label;
+        Object.assign(labelEl.style, { flex: "1", color: "#888", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" });
+        header.appendChild(labelEl);
+
+        header.appendChild(createPanelButton("\u{1F4CB}", "Put onto clipboard", function () {
+          putRegister(name);
+        }));
+        header.appendChild(createPanelButton("✕", "Clear register", function () {
+          clearRegister(name);
+        }));
+        item.appendChild(header);
+
+        var body = document.createElement("pre");
+        body.textContent = reg.text;
+        Object.assign(body.style, {
+          margin: "3px 0 0 0",
+          fontFamily: "monospace",
+          fontSize: "11px",
+          color: "#bbb",
+          whiteSpace: "pre-wrap",
+        });
+        item.appendChild(body);
 
-    // Detect panel type from subheader
-    var panelType = "none";
-    if (propVisible) {
-      var subheader = propPanel.querySelector(".tcv_measure_subheader");
-      if (subheader) {
-        var text = subheader.textContent.toLowerCase();
-        if (text.indexOf("vertex") !== -1 || text.indexOf("point") !== -1) panelType = "vertex";
-        else if (text.indexOf("edge") !== -1) panelType = "edge";
-        else if (text.indexOf("face") !== -1 || text.indexOf("plane") !== -1) panelType = "face";
-      }
+        registersPanelEl.appendChild(item);
+      })(names[i]);
     }
+  }
 
-    var html = "";
+  function toggleRegistersPanel() {
+    var panel = createRegistersPanel();
+    panel.style.display = panel.style.display === "none" ? "block" : "none";
+    renderRegistersPanel();
+  }
 
-    if (mode === "view") {
-      // View prefix menu
-      html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">View:</div>';
-      html += '<div style="display: flex; gap: 16px;">';
-      html += '<div>';
-      html += renderWhichKeyOption("t", "Transparent", false);
-      html += renderWhichKeyOption("e", "Black Edges", false);
-      html += renderWhichKeyOption("a", "Axes", false);
-      html += renderWhichKeyOption("o", "Origin Axes", false);
-      html += renderWhichKeyOption("p", "Perspective", false);
-      html += '</div><div>';
-      html += renderWhichKeyOption("g", "Grid", false);
-      html += renderWhichKeyOption("x", "Grid XY", false);
-      html += renderWhichKeyOption("y", "Grid XZ", false);
-      html += renderWhichKeyOption("z", "Grid YZ", false);
-      html += '</div>';
-      html += '</div>';
-    } else if (mode === "numprefix") {
-      // Number prefix menu — show what the digit can do
-      html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">' + numPrefix + ' +</div>';
-      html += '<div>';
-      html += renderWhichKeyOption("v", "View", false);
-      html += renderWhichKeyOption("h", "Hide/Show", false);
-      html += renderWhichKeyOption("y", "Yank row", false);
-      html += renderWhichKeyOption("x", "Yank X then y", false);
-      html += '</div>';
-    } else if (mode === "numaxis") {
-      // Number + axis, waiting for 'y' to confirm
-      html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">' + numPrefix + numAxis + ' +</div>';
-      html += '<div>';
-      html += renderWhichKeyOption("y", "Yank", false);
-      html += '</div>';
-    } else {
-      // yy — just show that y yanks primary
-      var visPanel = getVisiblePanel();
-      var rows = visPanel ? getPanelRows(visPanel) : [];
-      var firstLabel = rows.length > 0 ? getRowLabel(rows[0]) : "?";
-      html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">Yank:</div>';
-      html += '<div>';
-      html += renderWhichKeyOption("y", firstLabel, rows.length === 0);
-      html += '</div>';
-    }
+  // =========================================================================
+  // Measurement History
+  //
+  // Records a timestamped snapshot whenever the content of the properties or
+  // distance panel changes. Values are stored as original mm (via
+  // getCellValue), so snapshots are unaffected by the current unit mode.
+  // A panel's content must be unchanged for HISTORY_SETTLE_MS before it is
+  // recorded, so half-built tables are skipped.
+  // =========================================================================
 
-    panel.innerHTML = html;
-    panel.style.opacity = "1";
+  const MAX_HISTORY_ENTRIES = 200;
 
-    // Auto-hide after timeout
-    var timeout = (mode === "view" || mode === "numprefix" || mode === "numaxis")
-                    ? NUM_PREFIX_TIMEOUT_MS : YANK_SEQUENCE_TIMEOUT_MS;
-    if (whichKeyTimer) clearTimeout(whichKeyTimer);
-    whichKeyTimer = setTimeout(function () {
-      // If axis was 'y' and timed out, treat as row yank (Ny)
-      if (numAxis === "y" && numPrefix !== "") {
-        var num = parseInt(numPrefix, 10);
-        numPrefix = "";
-        numAxis = "";
-        hideWhichKey();
-        if (num === 0) {
-          yankWholeTable();
-        } else {
-          yankRowN(num);
-        }
-        return;
+  var measurementHistory = [];   // newest last
+  var historyNextId = 1;
+  var historyTimer = null;
+  var historyRecorded = {};      // panel kind -> signature of the last snapshot
+  var historyPanelEl = null;
+
+  // Find the single value cell of a non-coordinate row
+  function findSingleValueCell(row) {
+    var cells = row.querySelectorAll(".tcv_measure_val");
+    for (var i = 0; i < cells.length; i++) {
+      var cell = cells[i];
+      if (!cell.classList.contains("tcv_x_measure_val") &&
+          !cell.classList.contains("tcv_y_measure_val") &&
+          !cell.classList.contains("tcv_z_measure_val")) {
+        return cell;
       }
-      hideWhichKey();
-      yankSequence = [];
-      lastKeyTime = 0;
-      numPrefix = "";
-      numAxis = "";
-      vPrefixActive = false;
-    }, timeout);
+    }
+    return null;
   }
 
-  function hideWhichKey() {
-    if (whichKeyEl) {
-      whichKeyEl.style.opacity = "0";
-    }
-    if (whichKeyTimer) {
-      clearTimeout(whichKeyTimer);
-      whichKeyTimer = null;
+  // Row values in mm: [x, y, z] for coordinate rows, [value] otherwise
+  function getRowValues(row) {
+    if (rowHasCoords(row)) {
+      return [
+        getCellValue(row.querySelector(".tcv_x_measure_val")),
+        getCellValue(row.querySelector(".tcv_y_measure_val")),
+        getCellValue(row.querySelector(".tcv_z_measure_val")),
+      ];
     }
+    var cell = findSingleValueCell(row);
+    return cell ? [getCellValue(cell)] : [];
   }
 
-  // =========================================================================
-  // Tree Node Hide/Show (Nh = toggle Nth node, 0h = toggle all)
-  // =========================================================================
-
-  function getTreeNodes() {
-    // Get direct child nodes under the top-level group
-    var container = document.querySelector(".tcv_cad_tree_container");
-    if (!container) return [];
+  function snapshotPanel(panel, kind) {
+    var rows = getPanelRows(panel);
+    var data = [];
+    for (var i = 0; i < rows.length; i++) {
+      var values = getRowValues(rows[i]);
+      if (values.length === 0 || isNaN(values[0])) continue;
+      data.push({ label: getRowLabel(rows[i]), values: values });
+    }
 
-    // The top-level node is always /Group — its children are the actual shapes
-    var topNode = container.querySelector('.tv-tree-node[data-path="/Group"]');
-    if (!topNode) {
-      // Fallback: try the first top-level node
-      topNode = container.querySelector(".tv-tree-node");
+    var name = "Distance";
+    if (kind === "properties") {
+      var subheader = panel.querySelector(".tcv_measure_subheader");
+      name = subheader ? subheader.textContent.trim() : "Properties";
     }
-    if (!topNode) return [];
+    return { kind: kind, name: name, rows: data };
+  }
 
-    var childrenContainer = topNode.querySelector(".tv-children");
-    if (!childrenContainer) return [];
+  function snapshotSignature(snap) {
+    return snap.name + "|" + snap.rows.map(function (r) {
+      return r.label + "=" + r.values.join(",");
+    }).join(";");
+  }
 
-    // Direct child .tv-tree-node elements
-    var nodes = [];
-    var children = childrenContainer.children;
-    for (var i = 0; i < children.length; i++) {
-      if (children[i].classList.contains("tv-tree-node")) {
-        nodes.push(children[i]);
+  function recordMeasurementHistory() {
+    var panels = [
+      { kind: "distance", el: document.querySelector(DISTANCE_PANEL_SELECTOR) },
+      { kind: "properties", el: document.querySelector(PROPERTIES_PANEL_SELECTOR) },
+    ];
+
+    for (var i = 0; i < panels.length; i++) {
+      var kind = panels[i].kind;
+      var panel = panels[i].el;
+      if (!panel || panel.style.display === "none") {
+        historyRecorded[kind] = "";
+        continue;
       }
+
+      var snap = snapshotPanel(panel, kind);
+      if (snap.rows.length === 0) continue;
+
+      var sig = snapshotSignature(snap);
+      if (sig === historyRecorded[kind]) continue;
+
+      historyRecorded[kind] = sig;
+      snap.id = historyNextId++;
+      snap.time = Date.now();
+      measurementHistory.push(snap);
+      if (measurementHistory.length > MAX_HISTORY_ENTRIES) measurementHistory.shift();
+      renderHistoryPanel();
+      if (kind === "distance") addChainSegment(snap);
+      logCheckResults(snap);
     }
-    return nodes;
   }
 
-  function toggleTreeNodeVisibility(node) {
-    // Click the shape icon (.tv-icon0) to toggle visibility
-    var icon = node.querySelector(".tv-node-content .tv-icon0");
-    if (icon) {
-      icon.click();
-      return true;
-    }
-    return false;
+  // Debounced: every panel change restarts the settle timer
+  function scheduleHistoryRecord() {
+    if (historyTimer) clearTimeout(historyTimer);
+    historyTimer = setTimeout(function () {
+      historyTimer = null;
+      recordMeasurementHistory();
+    }, HISTORY_SETTLE_MS);
   }
 
-  function getTreeNodeLabel(node) {
-    var label = node.querySelector(".tv-node-label");
-    if (!label) return "?";
-    // Get text without the colored dot span
-    var text = "";
-    for (var i = 0; i < label.childNodes.length; i++) {
-      if (label.childNodes[i].nodeType === Node.TEXT_NODE) {
-        text += label.childNodes[i].textContent;
-      }
+  function formatHistoryEntry(entry) {
+    return entry.rows.map(function (r) {
+      return r.label + ": " + r.values.map(function (v) { return v.toFixed(3); }).join(", ");
+    }).join("\n");
+  }
+
+  function findHistoryEntry(id) {
+    for (var i = 0; i < measurementHistory.length; i++) {
+      if (measurementHistory[i].id === id) return measurementHistory[i];
     }
-    return text.trim() || label.textContent.trim();
+    return null;
   }
 
-  function isTreeNodeVisible(node) {
-    var icon = node.querySelector(".tv-node-content .tv-icon0");
-    if (!icon) return false;
-    // If the icon has tcv_button_shape (not _no or _mix), it's visible
-    return icon.classList.contains("tcv_button_shape");
+  function deleteHistoryEntry(id) {
+    measurementHistory = measurementHistory.filter(function (e) { return e.id !== id; });
+    renderHistoryPanel();
   }
 
-  function handleHideByNumber(num) {
-    if (num === 0) {
-      // Toggle all: click the top-level Group's shape icon
-      var container = document.querySelector(".tcv_cad_tree_container");
-      if (!container) {
-        showToast("No CAD tree found", false);
-        return;
-      }
-      var topNode = container.querySelector('.tv-tree-node[data-path="/Group"]');
-      if (!topNode) topNode = container.querySelector(".tv-tree-node");
-      if (!topNode) {
-        showToast("No tree node found", false);
-        return;
-      }
-      var toggled = toggleTreeNodeVisibility(topNode);
-      if (toggled) {
-        showToast("Toggle All", true);
+  // --- Export ---
+
+  function downloadFile(filename, mimeType, text) {
+    var blob = new Blob([text], { type: mimeType });
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+  }
+
+  function timestampForFilename() {
+    return new Date().toISOString().replace(/[:.]/g, "-").replace(/-\d{3}Z$/, "");
+  }
+
+  function csvField(value) {
+    var text = String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function exportHistoryCsv() {
+    var lines = ["time,name,panel,row,x_mm,y_mm,z_mm,value"];
+    for (var i = 0; i < measurementHistory.length; i++) {
+      var entry = measurementHistory[i];
+      for (var j = 0; j < entry.rows.length; j++) {
+        var r = entry.rows[j];
+        var xyz = r.values.length === 3 ? r.values : ["", "", ""];
+        var single = r.values.length === 3 ? "" : r.values[0];
+        lines.push([
+          new Date(entry.time).toISOString(), entry.name, entry.kind, r.label,
+          xyz[0], xyz[1], xyz[2], single,
+        ].map(csvField).join(","));
       }
-      return;
     }
+    downloadFile("ocp-measurements-" + timestampForFilename() + ".csv", "text/csv", lines.join("\n") + "\n");
+  }
 
-    var nodes = getTreeNodes();
-    if (num > nodes.length) {
-      showToast("Node " + num + " not found (only " + nodes.length + " nodes)", false);
-      return;
-    }
-    var node = nodes[num - 1];
-    var label = getTreeNodeLabel(node);
-    var wasVisible = isTreeNodeVisible(node);
-    toggleTreeNodeVisibility(node);
-    showToast(label + (wasVisible ? " hidden" : " shown"), !wasVisible);
+  function exportHistoryJson() {
+    var data = measurementHistory.map(function (entry) {
+      return {
+        time: new Date(entry.time).toISOString(),
+        name: entry.name,
+        panel: entry.kind,
+        unit: "mm",
+        rows: entry.rows,
+      };
+    });
+    downloadFile("ocp-measurements-" + timestampForFilename() + ".json", "application/json",
+                 JSON.stringify(data, null, 2) + "\n");
   }
 
-  // =========================================================================
-  // Toast notification
-  // =========================================================================
+  // --- Side panel UI ---
 
-  let toastEl = null;
-  let toastTimer = null;
+  function createPanelButton(text, title, onClick) {
+    var btn = document.createElement("button");
+    btn.textContent = text;
+    btn.title = title;
+    styleToolbarButton(btn, false);
+    btn.style.padding = "2px 6px";
+    btn.addEventListener("click", function (e) {
+      e.stopPropagation();
+      onClick(e);
+    });
+    return btn;
+  }
+
+  function createHistoryPanel() {
+    if (historyPanelEl) return historyPanelEl;
+
+    historyPanelEl = document.createElement("div");
+    historyPanelEl.id = "ocp-history-panel";
+    Object.assign(historyPanelEl.style, {
+      position: "fixed",
+      top: "12px",
+      right: "12px",
+      bottom: "48px",
+      width: "300px",
+      display: "none",
+      flexDirection: "column",
+      padding: "10px 12px",
+      borderRadius: "8px",
+      fontSize: "12px",
+      fontFamily: "system-ui, -apple-system, sans-serif",
+      color: "#e0e0e0",
+      backgroundColor: "rgba(30, 30, 30, 0.95)",
+      border: "1px solid #444",
+      zIndex: "999998",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+    });
+
+    document.body.appendChild(historyPanelEl);
+    return historyPanelEl;
+  }
+
+  function renderHistoryEntry(entry) {
+    var item = document.createElement("div");
+    Object.assign(item.style, {
+      padding: "6px 0",
+      borderBottom: "1px solid #3a3a3a",
+    });
+
+    var header = document.createElement("div");
+    Object.assign(header.style, { display: "flex", alignItems: "center", gap: "4px" });
+
+    var name = document.createElement("span");
+    name.textContent = entry.name;
+    Object.assign(name.style, { flex: "1", fontWeight: "600", color: "#fff" });
+    header.appendChild(name);
+
+    var time = document.createElement("span");
+    time.textContent = new Date(entry.time).toLocaleTimeString();
+    time.style.color = "#888";
+    header.appendChild(time);
+
+    header.appendChild(createPanelButton("\u{1F4CB}", "Copy", function () {
+      var text = formatHistoryEntry(entry);
+      navigator.clipboard.writeText(text).then(function () {
+        showToast("Copied " + entry.name + " (" + entry.rows.length + " rows)", true);
+      }).catch(function () {
+        showToast("Copy failed", false);
+      });
+    }));
+
+    header.appendChild(createPanelButton("✎", "Rename", function () {
+      var input = document.createElement("input");
+      input.value = entry.name;
+      Object.assign(input.style, {
+        flex: "1",
+        fontSize: "12px",
+        background: "#222",
+        color: "#fff",
+        border: "1px solid #888",
+      });
+      input.addEventListener("keydown", function (e) {
+        e.stopPropagation();
+        if (e.key === "Enter") {
+          entry.name = input.value.trim() || entry.name;
+          renderHistoryPanel();
+        } else if (e.key === "Escape") {
+          renderHistoryPanel();
+        }
+      });
+      input.addEventListener("blur", renderHistoryPanel);
+      header.replaceChild(input, name);
+      input.focus();
+      input.select();
+    }));
+
+    header.appendChild(createPanelButton("✕", "Delete", function () {
+      deleteHistoryEntry(entry.id);
+    }));
+
+    item.appendChild(header);
+
+    var body = document.createElement("pre");
+    body.textContent = formatHistoryEntry(entry);
+    Object.assign(body.style, {
+      margin: "4px 0 0 0",
+      fontFamily: "monospace",
+      fontSize: "11px",
+      color: "#bbb",
+      whiteSpace: "pre-wrap",
+    });
+    item.appendChild(body);
+
+    return item;
+  }
+
+  function renderHistoryPanel() {
+    if (!historyPanelEl || historyPanelEl.style.display === "none") return;
+    historyPanelEl.innerHTML = "";
+
+    var title = document.createElement("div");
+    title.textContent = "Measurement history (" + measurementHistory.length + ")";
+    Object.assign(title.style, { color: "#888", fontSize: "11px", marginBottom: "6px" });
+    historyPanelEl.appendChild(title);
+
+    var list = document.createElement("div");
+    Object.assign(list.style, { flex: "1", overflowY: "auto" });
+    for (var i = measurementHistory.length - 1; i >= 0; i--) {
+      list.appendChild(renderHistoryEntry(measurementHistory[i]));
+    }
+    if (measurementHistory.length === 0) {
+      var empty = document.createElement("div");
+      empty.textContent = "No measurements yet";
+      empty.style.color = "#666";
+      list.appendChild(empty);
+    }
+    historyPanelEl.appendChild(list);
+
+    var footer = document.createElement("div");
+    Object.assign(footer.style, { display: "flex", gap: "4px", marginTop: "8px" });
+    footer.appendChild(createPanelButton("CSV", "Export as CSV", exportHistoryCsv));
+    footer.appendChild(createPanelButton("JSON", "Export as JSON", exportHistoryJson));
+    footer.appendChild(createPanelButton("Clear", "Clear history", function () {
+      measurementHistory = [];
+      renderHistoryPanel();
+    }));
+    historyPanelEl.appendChild(footer);
+  }
+
+  function toggleHistoryPanel() {
+    var panel = createHistoryPanel();
+    var show = panel.style.display === "none";
+    panel.style.display = show ? "flex" : "none";
+    renderHistoryPanel();
+  }
+
+  // =========================================================================
+  // Pinned Measurement Cards
+  //
+  // "m" (or the 📌 overlay button on a panel) copies the panel's rows into a
+  // floating card that stays on screen after the selection changes, so two
+  // features can be compared side by side. Cards keep the original mm values
+  // (via getCellValue) and every row's dimension, and are re-rendered by
+  // refreshCells() so they follow the unit mode like the viewer's own cells.
+  // Copies from a card use the yank format, in mm like every other yank.
+  // Cards are dragged by their title bar; Shift+M dismisses all of them.
+  // =========================================================================
+
+  const PIN_CASCADE_PX = 24;  // offset between newly pinned cards
+
+  var pinnedCards = [];  // [{ id, name, rows: [{ num, label, values, dimension }], el }]
+  var pinNextId = 1;
+  var pinsContainer = null;
+
+  function getPinsContainer() {
+    if (!pinsContainer) {
+      pinsContainer = document.createElement("div");
+      pinsContainer.id = "ocp-pins";
+      document.body.appendChild(pinsContainer);
+    }
+    return pinsContainer;
+  }
+
+  // Like snapshotPanel(), but keeps each row's dimension for unit display
+  function snapshotPinnedRows(panel) {
+    var rows = getPanelRows(panel);
+    var data = [];
+    for (var i = 0; i < rows.length; i++) {
+      if (isReferenceRow(rows[i])) continue;
+      var values = getRowValues(rows[i]);
+      if (values.length === 0 || isNaN(values[0])) continue;
+      var cell = rows[i].querySelector(MEASURE_VAL_SELECTOR);
+      data.push({ num: i + 1, label: getRowLabel(rows[i]), values: values, dimension: rowDimension(cell) });
+    }
+    return data;
+  }
+
+  function formatPinnedValue(row) {
+    return row.values.map(function (v) {
+      return row.dimension === "unitless" ? String(v) : formatMeasurement(v, row.dimension);
+    }).join(", ");
+  }
+
+  // Yank-format text of a pinned row (mm, like formatRowValues)
+  function formatPinnedYank(row, format) {
+    var fmt = YANK_FORMATS[format || currentYankFormat];
+    return row.values.length === 3
+      ? fmt.coords(row.values.map(formatNumber))
+      : formatNumber(row.values[0]);
+  }
+
+  function pinPanel(panel) {
+    panel = panel || getVisiblePanel();
+    if (!panel) {
+      showToast("No panel visible", false);
+      return;
+    }
+    var kind = panel.matches(DISTANCE_PANEL_SELECTOR) ? "distance" : "properties";
+    var rows = snapshotPinnedRows(panel);
+    if (rows.length === 0) {
+      showToast("Nothing to pin", false);
+      return;
+    }
+
+    var card = { id: pinNextId++, name: snapshotPanel(panel, kind).name, rows: rows, el: null };
+    pinnedCards.push(card);
+    createPinnedCard(card, pinnedCards.length - 1);
+    showToast("Pinned " + card.name + " (" + rows.length + " rows)", true);
+  }
+
+  function createPinnedCard(card, index) {
+    var el = document.createElement("div");
+    el.id = "ocp-pin-" + card.id;
+    Object.assign(el.style, {
+      position: "fixed",
+      top: (60 + (index % 8) * PIN_CASCADE_PX) + "px",
+      left: (60 + (index % 8) * PIN_CASCADE_PX) + "px",
+      minWidth: "200px",
+      padding: "6px 10px 8px 10px",
+      borderRadius: "8px",
+      fontSize: "12px",
+      fontFamily: "system-ui, -apple-system, sans-serif",
+      color: "#e0e0e0",
+      backgroundColor: "rgba(30, 30, 30, 0.95)",
+      border: "1px solid #555",
+      zIndex: "999996",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+    });
+    card.el = el;
+    renderPinnedCard(card);
+    getPinsContainer().appendChild(el);
+  }
+
+  function renderPinnedCard(card) {
+    var el = card.el;
+    el.innerHTML = "";
+
+    var header = document.createElement("div");
+    Object.assign(header.style, { display: "flex", alignItems: "center", gap: "4px", cursor: "move", marginBottom: "4px" });
+    var title = document.createElement("span");
+    title.textContent = "\u{1F4CC} p" + card.id + " " + card.name;
+    Object.assign(title.style, { flex: "1", fontWeight: "600", color: "#fff" });
+    header.appendChild(title);
+    header.appendChild(createPanelButton("\u{1F4CB}", "Copy all rows", function () {
+      var text = card.rows.map(function (r) {
+        return r.label + ": " + r.values.map(formatNumber).join(", ");
+      }).join("\n");
+      navigator.clipboard.writeText(text).then(function () {
+        showToast("Copied " + card.name + " (" + card.rows.length + " rows)", true);
+      }).catch(function () {
+        showToast("Copy failed", false);
+      });
+    }));
+    header.appendChild(createPanelButton("✕", "Dismiss", function () {
+      dismissPinnedCard(card);
+    }));
+    startPinDrag(header, card);
+    el.appendChild(header);
+
+    card.rows.forEach(function (row) {
+      var line = document.createElement("div");
+      Object.assign(line.style, { display: "flex", alignItems: "center", gap: "6px", margin: "2px 0" });
+
+      var copyBtn = createPanelButton("\u{1F4CB}", "Copy " + row.label + " (Shift: Vector, Alt: tuple, Ctrl: JSON)", function (e) {
+        var text = formatPinnedYank(row, yankFormatForEvent(e));
+        navigator.clipboard.writeText(text).then(function () {
+          showToast("Copied " + row.label + ": " + text, true);
+        }).catch(function () {
+          showToast("Copy failed", false);
+        });
+      });
+      copyBtn.style.fontSize = "10px";
+      line.appendChild(copyBtn);
+
+      var label = document.createElement("span");
+      label.textContent = row.label;
+      label.title = "p" + card.id + ".r" + row.num + " in the calculator";
+      Object.assign(label.style, { color: "#888", minWidth: "70px" });
+      line.appendChild(label);
+
+      var value = document.createElement("span");
+      value.className = "ocp-pin-value";
+      value.textContent = formatPinnedValue(row);
+      Object.assign(value.style, { fontFamily: "monospace", color: "#fff" });
+      line.appendChild(value);
+
+      el.appendChild(line);
+    });
+  }
+
+  // Called from refreshCells() when the unit mode changes
+  function renderPinnedCards() {
+    pinnedCards.forEach(renderPinnedCard);
+  }
+
+  function startPinDrag(handle, card) {
+    handle.addEventListener("mousedown", function (e) {
+      if (e.button !== 0 || e.target.tagName === "BUTTON") return;
+      e.preventDefault();
+      var rect = card.el.getBoundingClientRect();
+      var dx = e.clientX - rect.left;
+      var dy = e.clientY - rect.top;
+
+      function onMove(ev) {
+        card.el.style.left = Math.max(0, ev.clientX - dx) + "px";
+        card.el.style.top = Math.max(0, ev.clientY - dy) + "px";
+      }
+      function onUp() {
+        document.removeEventListener("mousemove", onMove);
+        document.removeEventListener("mouseup", onUp);
+      }
+      document.addEventListener("mousemove", onMove);
+      document.addEventListener("mouseup", onUp);
+    });
+  }
+
+  function dismissPinnedCard(card) {
+    card.el.remove();
+    pinnedCards = pinnedCards.filter(function (c) { return c !== card; });
+  }
+
+  function dismissAllPins() {
+    if (pinnedCards.length === 0) {
+      showToast("No pinned cards", false);
+      return;
+    }
+    var count = pinnedCards.length;
+    pinnedCards.forEach(function (card) { card.el.remove(); });
+    pinnedCards = [];
+    showToast("Dismissed " + count + " pinned card" + (count === 1 ? "" : "s"), false);
+  }
+
+  // =========================================================================
+  // Calculator
+  //
+  // "=" opens an expression prompt; the result is shown in the active unit
+  // and copied to the clipboard in viewer units, like a yank. Terms:
+  //   r2, r2.z       row 2 of the visible panel (a single value or one axis)
+  //   dist           the distance panel's Distance row
+  //   p1.r2.x        row 2 of pinned card p1
+  //   12.7, 0.5in    numbers, optionally with a unit from UNITS (mm if none)
+  //   pi
+  // combined with + - * / ^, parentheses and CALC_FUNCTIONS. Row values come
+  // from getCellValue(), so they are exact mm whatever the display unit.
+  // Every value carries a dimension (see calcDimension) so that an area row
+  // is shown in in², r1.x * r1.y in mm² and dist / dist as a plain number.
+  // parseExpression() is a recursive-descent evaluator over the tokens of
+  // tokenizeExpression(); it throws an Error whose message is shown in the
+  // prompt hint or a toast.
+  // =========================================================================
+
+  const CALC_FUNCTIONS = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    hypot: Math.hypot,
+    min: Math.min,
+    max: Math.max,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+  };
+
+  const CALC_AXES = { x: 0, y: 1, z: 2 };
+
+  var lastCalcExpression = "";
+
+  // "r2.z*2" -> [{ type: "ref", text: "r2.z" }, { type: "op", text: "*" }, { type: "num", value: 2 }]
+  function tokenizeExpression(text) {
+    var tokens = [];
+    var pattern = /\s*(?:(\d+\.?\d*|\.\d+)|([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)|(\S))/g;
+    var match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[1] !== undefined) tokens.push({ type: "num", value: parseFloat(match[1]) });
+      else if (match[2] !== undefined) tokens.push({ type: "ref", text: match[2] });
+      else if ("+-*/^(),".indexOf(match[3]) !== -1) tokens.push({ type: "op", text: match[3] });
+      else throw new Error("Unexpected " + match[3]);
+    }
+    return tokens;
+  }
+
+  // One number, or one axis of a coordinate row; values is getRowValues()
+  // of the row, or null if there is no such row
+  function calcRowValue(values, axis, name) {
+    if (!values) throw new Error("No row " + name);
+    if (axis) {
+      if (values.length !== 3) throw new Error(name + " has no coordinates");
+      return values[CALC_AXES[axis]];
+    }
+    if (values.length !== 1) throw new Error(name + " has coordinates, use " + name + ".x/.y/.z");
+    return values[0];
+  }
+
+  // The dimension of a calculator value: the power of length (0 for plain
+  // numbers, 1 for mm, 2 for mm², 3 for mm³), "angle" for degrees, or null
+  // once values that do not add up are combined (length + area, angle * mm).
+  // dimension is a rowDimension() name.
+  function calcDimension(dimension) {
+    if (dimension === "angle") return "angle";
+    return dimension === "unitless" ? 0 : DIMENSION_POWERS[dimension];
+  }
+
+  // Plain numbers in a sum take the other side's dimension: r2.z + 5 is mm
+  function addCalcDimensions(a, b) {
+    if (a === b || b === 0) return a;
+    return a === 0 ? b : null;
+  }
+
+  // sign is 1 for *, -1 for /
+  function multiplyCalcDimensions(a, b, sign) {
+    if (b === 0) return a;
+    if (a === 0 && sign > 0) return b;
+    if (a === b && sign < 0) return 0;
+    if (typeof a === "number" && typeof b === "number") return a + sign * b;
+    return null;
+  }
+
+  // sqrt(area) is a length; sqrt(length) has no dimension we can show
+  function raiseCalcDimension(dimension, exponent) {
+    if (dimension === 0) return 0;
+    if (typeof dimension !== "number" || !Number.isInteger(dimension * exponent)) return null;
+    return dimension * exponent;
+  }
+
+  function calcValue(value, dimension) {
+    return { value: value, dimension: dimension };
+  }
+
+  // Returns { value, dimension }
+  function resolveCalcReference(text) {
+    if (text === "pi") return calcValue(Math.PI, 0);
+
+    if (text === "dist") {
+      var distPanel = document.querySelector(DISTANCE_PANEL_SELECTOR);
+      var distRow = distPanel && distPanel.style.display !== "none"
+        ? findRowByLabel(getPanelRows(distPanel), /^distance/i) : null;
+      if (!distRow) throw new Error("No distance measured");
+      return calcValue(getRowValues(distRow)[0], 1);
+    }
+
+    var match = /^r(\d+)(?:\.([xyz]))?$/.exec(text);
+    if (match) {
+      var panel = getVisiblePanel();
+      if (!panel) throw new Error("No panel visible");
+      var row = getPanelRows(panel)[parseInt(match[1], 10) - 1];
+      var value = calcRowValue(row ? getRowValues(row) : null, match[2], "r" + match[1]);
+      return calcValue(value, calcDimension(rowDimension(row.querySelector(MEASURE_VAL_SELECTOR))));
+    }
+
+    match = /^p(\d+)\.r(\d+)(?:\.([xyz]))?$/.exec(text);
+    if (match) {
+      var card = pinnedCards.filter(function (c) { return c.id === parseInt(match[1], 10); })[0];
+      if (!card) throw new Error("No pinned card p" + match[1]);
+      var pinned = card.rows.filter(function (r) { return r.num === parseInt(match[2], 10); })[0];
+      var pinnedValue = calcRowValue(pinned ? pinned.values : null, match[3], "p" + match[1] + ".r" + match[2]);
+      return calcValue(pinnedValue, calcDimension(pinned.dimension));
+    }
+
+    throw new Error("Unknown name " + text);
+  }
+
+  // Returns { value, dimension } with the value in mm (mm², degrees, ...);
+  // throws on syntax errors and unknown names
+  function parseExpression(text) {
+    var tokens = tokenizeExpression(text);
+    var pos = 0;
+
+    function peek(op) {
+      var t = tokens[pos];
+      return t && t.type === "op" && t.text === op;
+    }
+
+    function expect(op) {
+      if (!peek(op)) throw new Error("Expected " + op);
+      pos++;
+    }
+
+    function expression() {
+      var left = term();
+      while (peek("+") || peek("-")) {
+        var op = tokens[pos++].text;
+        var right = term();
+        left = calcValue(op === "+" ? left.value + right.value : left.value - right.value,
+                         addCalcDimensions(left.dimension, right.dimension));
+      }
+      return left;
+    }
+
+    function term() {
+      var left = unary();
+      while (peek("*") || peek("/")) {
+        var op = tokens[pos++].text;
+        var right = unary();
+        left = calcValue(op === "*" ? left.value * right.value : left.value / right.value,
+                         multiplyCalcDimensions(left.dimension, right.dimension, op === "*" ? 1 : -1));
+      }
+      return left;
+    }
+
+    function unary() {
+      if (peek("-")) {
+        pos++;
+        var operand = unary();
+        return calcValue(-operand.value, operand.dimension);
+      }
+      if (peek("+")) { pos++; return unary(); }
+      return power();
+    }
+
+    // Right-associative: 2^3^2 = 2^9
+    function power() {
+      var base = primary();
+      if (peek("^")) {
+        pos++;
+        var exponent = unary();
+        return calcValue(Math.pow(base.value, exponent.value),
+                         exponent.dimension === 0 ? raiseCalcDimension(base.dimension, exponent.value) : null);
+      }
+      return base;
+    }
+
+    function primary() {
+      var t = tokens[pos++];
+      if (!t) throw new Error("Unexpected end");
+
+      if (t.type === "num") {
+        var next = tokens[pos];
+        var unit = next && next.type === "ref" ? findUnit(next.text) : null;
+        if (unit && !unit.fractional) {
+          pos++;
+          return calcValue(t.value * unit.factor, 1);
+        }
+        return calcValue(t.value, 0);
+      }
+
+      if (t.type === "ref") {
+        if (!peek("(")) return resolveCalcReference(t.text);
+        var fn = CALC_FUNCTIONS[t.text];
+        if (!fn) throw new Error("Unknown function " + t.text);
+        pos++;
+        var args = [];
+        if (!peek(")")) {
+          args.push(expression());
+          while (peek(",")) {
+            pos++;
+            args.push(expression());
+          }
+        }
+        expect(")");
+        var value = fn.apply(null, args.map(function (a) { return a.value; }));
+        if (t.text === "sqrt") return calcValue(value, raiseCalcDimension(args[0] ? args[0].dimension : 0, 0.5));
+        return calcValue(value, args.reduce(function (dimension, a) {
+          return addCalcDimensions(dimension, a.dimension);
+        }, 0));
+      }
+
+      if (t.text === "(") {
+        var inner = expression();
+        expect(")");
+        return inner;
+      }
+      throw new Error("Unexpected " + t.text);
+    }
+
+    if (tokens.length === 0) throw new Error("Empty expression");
+    var result = expression();
+    if (pos < tokens.length) {
+      var extra = tokens[pos];
+      throw new Error("Unexpected " + (extra.type === "num" ? extra.value : extra.text));
+    }
+    if (!isFinite(result.value)) throw new Error("Result is not a number");
+    return result;
+  }
+
+  const CALC_DIMENSION_NAMES = { 1: "length", 2: "area", 3: "volume", angle: "angle" };
+
+  // "3/8\" (9.525 mm)" in inch mode, "9.525" in mm, "1.000 in² (645.160 mm²)"
+  // for an area. Plain numbers and mixed dimensions are shown as they are.
+  function describeCalcResult(result) {
+    var dimension = CALC_DIMENSION_NAMES[result.dimension];
+    var plain = formatNumber(result.value);
+    if (!dimension) return plain;
+    var shown = formatMeasurement(result.value, dimension);
+    if (dimension === "angle") {
+      return currentAngleUnit === "deg" ? shown : shown + " (" + plain + "°)";
+    }
+    if (currentUnit === VIEWER_UNIT) return shown;
+    return shown + " (" + plain + " mm" + (SUPERSCRIPTS[result.dimension] || "") + ")";
+  }
+
+  function openCalculator() {
+    showPromptBar({
+      label: "=",
+      value: lastCalcExpression,
+      placeholder: "r2.z - r1.z, dist / 2, hypot(r3.x, r3.y)",
+      onInput: function (value) {
+        if (value.trim() === "") return "";
+        try {
+          return "= " + describeCalcResult(parseExpression(value));
+        } catch (err) {
+          return err.message;
+        }
+      },
+      onSubmit: function (value) {
+        if (value.trim() === "") return;
+        lastCalcExpression = value;
+        var result;
+        try {
+          result = parseExpression(value);
+        } catch (err) {
+          showToast("Calculator: " + err.message, false);
+          return;
+        }
+        var text = formatNumber(result.value);
+        navigator.clipboard.writeText(text).then(function () {
+          showToast(value + " = " + describeCalcResult(result) + " — copied", true);
+        }).catch(function () {
+          showToast("Copy failed", false);
+        });
+      },
+    });
+  }
+
+  // =========================================================================
+  // Distance Chain
+  //
+  //   cc — start / stop chaining      cu — undo the last segment
+  //   cr — reset the chain            cy — yank the total
+  //   cl — yank the whole list
+  //
+  // While chaining, every new distance result (as recorded by
+  // recordMeasurementHistory, so half-built panels are skipped) becomes a
+  // segment. The overlay lists the segments and the running total in the
+  // current unit and is re-rendered by refreshCells(); yanks are in mm.
+  // Stopping keeps the segments until the chain is reset.
+  // =========================================================================
+
+  const CHAIN_ACTIONS = [
+    { key: "c", action: "toggle",    label: "Start / stop chaining" },
+    { key: "u", action: "undo",      label: "Undo the last segment" },
+    { key: "r", action: "reset",     label: "Reset the chain" },
+    { key: "y", action: "yankTotal", label: "Yank the total" },
+    { key: "l", action: "yankList",  label: "Yank every segment and the total" },
+  ];
+
+  var chainActive = false;
+  var chainSegments = [];  // [{ distance, from, to }] in mm
+  var chainOverlayEl = null;
+
+  function chainTotal() {
+    return chainSegments.reduce(function (sum, s) { return sum + s.distance; }, 0);
+  }
+
+  // Called with each new distance panel snapshot
+  function addChainSegment(snap) {
+    if (!chainActive) return;
+    var distance = null;
+    var points = [];
+    snap.rows.forEach(function (r) {
+      if (/^distance/i.test(r.label)) distance = r.values[0];
+      else if (/^point/i.test(r.label) && r.values.length === 3) points.push(r.values);
+    });
+    if (distance === null) return;
+
+    chainSegments.push({ distance: distance, from: points[0] || null, to: points[1] || null });
+    renderChainOverlay();
+    showToast("Segment " + chainSegments.length + ": " + formatLength(distance) +
+              " — total " + formatLength(chainTotal()), true);
+  }
+
+  function createChainOverlay() {
+    if (chainOverlayEl) return chainOverlayEl;
+
+    chainOverlayEl = document.createElement("div");
+    chainOverlayEl.id = "ocp-chain-overlay";
+    Object.assign(chainOverlayEl.style, {
+      position: "fixed",
+      bottom: "48px",
+      left: "12px",
+      minWidth: "160px",
+      maxHeight: "40vh",
+      overflowY: "auto",
+      display: "none",
+      padding: "8px 12px",
+      borderRadius: "8px",
+      fontSize: "12px",
+      fontFamily: "monospace",
+      color: "#e0e0e0",
+      backgroundColor: "rgba(30, 30, 30, 0.95)",
+      border: "1px solid #444",
+      zIndex: "999998",
+      pointerEvents: "none",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+    });
+    document.body.appendChild(chainOverlayEl);
+    return chainOverlayEl;
+  }
+
+  function renderChainOverlay() {
+    if (!chainActive && chainSegments.length === 0) {
+      if (chainOverlayEl) chainOverlayEl.style.display = "none";
+      return;
+    }
+    var overlay = createChainOverlay();
+    var html = '<div style="color: #888; margin-bottom: 4px; font-family: system-ui, sans-serif;">' +
+               (chainActive ? "⛓ Chain" : "⛓ Chain (stopped)") + " — " + chainSegments.length +
+               " segment" + (chainSegments.length === 1 ? "" : "s") + '</div>';
+    chainSegments.forEach(function (s, i) {
+      html += '<div>' + (i + 1) + ". " + escapeHtml(formatLength(s.distance)) + '</div>';
+    });
+    if (chainSegments.length === 0) {
+      html += '<div style="color: #666;">Measure a distance to start</div>';
+    }
+    html += '<div style="margin-top: 4px; padding-top: 4px; border-top: 1px solid #444; color: #fff;">Total ' +
+            escapeHtml(formatLength(chainTotal())) + '</div>';
+    overlay.innerHTML = html;
+    overlay.style.display = "block";
+  }
+
+  function runChainAction(action) {
+    switch (action) {
+      case "toggle":
+        chainActive = !chainActive;
+        showToast(chainActive ? "Chaining distances (" + keyLabelFor("distance") + " measures)" : "Chain stopped", chainActive);
+        break;
+      case "undo":
+        if (chainSegments.length === 0) {
+          showToast("Chain is empty", false);
+          return;
+        }
+        chainSegments.pop();
+        showToast("Removed segment " + (chainSegments.length + 1) + " — total " + formatLength(chainTotal()), false);
+        break;
+      case "reset":
+        chainSegments = [];
+        showToast("Chain reset", false);
+        break;
+      case "yankTotal":
+        if (chainSegments.length === 0) {
+          yankFailed("Chain is empty");
+          return;
+        }
+        var total = formatNumber(chainTotal());
+        deliverYank(total, "Chain total", "chain total: " + total);
+        return;
+      case "yankList":
+        if (chainSegments.length === 0) {
+          yankFailed("Chain is empty");
+          return;
+        }
+        var lines = chainSegments.map(function (s, i) {
+          var line = "Segment " + (i + 1) + ": " + formatNumber(s.distance);
+          if (s.from && s.to) {
+            line += " (" + s.from.map(formatNumber).join(", ") + " -> " + s.to.map(formatNumber).join(", ") + ")";
+          }
+          return line;
+        });
+        lines.push("Total: " + formatNumber(chainTotal()));
+        deliverYank(lines.join("\n"), "Chain", "chain (" + chainSegments.length + " segments)");
+        return;
+      default:
+        showToast("Unknown chain action: " + action, false);
+        return;
+    }
+    renderChainOverlay();
+  }
+
+  // =========================================================================
+  // Tolerance Checks
+  //
+  // Named checks compare panel rows against drawing dimensions. They are
+  // edited as text in the checks panel (Shift+C), one per line:
+  //
+  //   Bore        | Diameter   | 12 ± 0.05 mm
+  //   Wall        | Distance   | 0.08 +- 0.004 in
+  //   Datum Z     | Center.z   | 25 +/- 0.1
+  //   Face        | Area       | 400 ± 2 mm2
+  //   Chamfer     | Angle      | 45 ± 0.5 deg
+  //
+  // The unit is a UNITS id (mm if omitted), optionally followed by 2 or 3
+  // for areas and volumes, or deg / rad for angles; ".x/.y/.z" on the row
+  // label picks one axis of a coordinate row. Rows of the visible panels
+  // whose label matches a check are outlined green or red in a separate
+  // overlay container, for the same reason as the copy buttons (see Copy
+  // Button Overlay System). If several checks share a row label, the row
+  // passes if any of them does.
+  //
+  // Each new panel snapshot recorded by recordMeasurementHistory() logs one
+  // result per matching check. Checks and the log live in
+  // chrome.storage.local, so a reload during an inspection loses nothing;
+  // the panel exports the checklist with every logged result as CSV or JSON.
+  // =========================================================================
+
+  const CHECKS_STORAGE_KEY = "toleranceChecks";
+  const CHECK_LOG_STORAGE_KEY = "toleranceCheckLog";
+  const MAX_CHECK_LOG_ENTRIES = 1000;
+  const CHECK_PASS_COLOR = "#4caf50";
+  const CHECK_FAIL_COLOR = "#f44336";
+
+  var toleranceChecks = [];  // [{ name, row, axis, expected, tolerance, unit, power }]
+  var checkLog = [];         // newest last
+  var checksOverlayEl = null;
+  var checksPanelEl = null;
+  var checksEditing = false;
+
+  function loadChecks() {
+    var query = {};
+    query[CHECKS_STORAGE_KEY] = [];
+    query[CHECK_LOG_STORAGE_KEY] = [];
+    chrome.storage.local.get(query, function (items) {
+      toleranceChecks = items[CHECKS_STORAGE_KEY] || [];
+      checkLog = items[CHECK_LOG_STORAGE_KEY] || [];
+      renderChecksPanel();
+      updateCheckOverlay();
+    });
+  }
+
+  function saveChecks() {
+    var items = {};
+    items[CHECKS_STORAGE_KEY] = toleranceChecks;
+    items[CHECK_LOG_STORAGE_KEY] = checkLog;
+    chrome.storage.local.set(items);
+  }
+
+  // --- Text form ---
+
+  // "mm", "in2", "deg" -> { unit, power }, or null
+  function parseCheckUnit(text) {
+    text = text.toLowerCase();
+    if (text === "") return { unit: VIEWER_UNIT, power: 1 };
+    if (text === "deg" || text === "°" || text === "rad") return { unit: text === "rad" ? "rad" : "deg", power: 0 };
+    var match = /^([a-zµ]+?)([23²³]?)$/.exec(text);
+    if (!match) return null;
+    var unit = findUnit(match[1] === "µm" ? "um" : match[1]);
+    if (!unit || unit.fractional) return null;
+    return { unit: unit.id, power: { "": 1, "2": 2, "²": 2, "3": 3, "³": 3 }[match[2]] };
+  }
+
+  function checkUnitText(check) {
+    if (check.power === 0) return check.unit;
+    return check.unit + (check.power === 1 ? "" : check.power);
+  }
+
+  // Returns { checks, errors } like OcpCommands.parseCommandText()
+  function parseChecksText(text) {
+    var checks = [];
+    var errors = [];
+    text.split("\n").forEach(function (line, i) {
+      line = line.trim();
+      if (line === "" || line.charAt(0) === "#") return;
+      var parts = line.split("|").map(function (p) { return p.trim(); });
+      var spec = parts.length === 3 &&
+        /^(-?\d*\.?\d+)\s*(?:±|\+\/?-)\s*(\d*\.?\d+)\s*(\S*)$/.exec(parts[2]);
+      if (!spec || parts[0] === "" || parts[1] === "") {
+        errors.push("Line " + (i + 1) + ": expected Name | Row | value ± tolerance unit");
+        return;
+      }
+      var unit = parseCheckUnit(spec[3]);
+      if (!unit) {
+        errors.push("Line " + (i + 1) + ": unknown unit " + spec[3]);
+        return;
+      }
+      var row = /^(.*)\.([xyz])$/.exec(parts[1]);
+      checks.push({
+        name: parts[0],
+        row: row ? row[1] : parts[1],
+        axis: row ? row[2] : null,
+        expected: parseFloat(spec[1]),
+        tolerance: parseFloat(spec[2]),
+        unit: unit.unit,
+        power: unit.power,
+      });
+    });
+    return { checks: checks, errors: errors };
+  }
+
+  function checkSpecText(check) {
+    var unit = checkUnitText(check);
+    return check.expected + " ± " + check.tolerance + (unit === VIEWER_UNIT ? "" : " " + unit);
+  }
+
+  function checkToText(check) {
+    return check.name + " | " + check.row + (check.axis ? "." + check.axis : "") + " | " + checkSpecText(check);
+  }
+
+  // --- Evaluation ---
+
+  // Multiplier from the check's unit to the viewer's (mm, mm², mm³ or deg)
+  function checkUnitFactor(check) {
+    if (check.power === 0) return check.unit === "rad" ? 180 / Math.PI : 1;
+    return Math.pow(findUnit(check.unit).factor, check.power);
+  }
+
+  // The measured value (viewer units) a check applies to, or null
+  function checkedValue(check, label, values) {
+    if (label.toLowerCase() !== check.row.toLowerCase()) return null;
+    if (check.axis) return values.length === 3 ? values[CALC_AXES[check.axis]] : null;
+    return values.length === 1 ? values[0] : null;
+  }
+
+  // { check, measured, deviation, pass }, with measured and deviation in the
+  // check's unit; the best of several matching checks, or null
+  function evaluateChecks(label, values) {
+    var best = null;
+    toleranceChecks.forEach(function (check) {
+      var value = checkedValue(check, label, values);
+      if (value === null || isNaN(value)) return;
+      var measured = value / checkUnitFactor(check);
+      var deviation = measured - check.expected;
+      var result = {
+        check: check,
+        measured: measured,
+        deviation: deviation,
+        pass: Math.abs(deviation) <= check.tolerance + 1e-9,
+      };
+      if (!best || (result.pass && !best.pass) ||
+          (result.pass === best.pass && Math.abs(deviation) < Math.abs(best.deviation))) {
+        best = result;
+      }
+    });
+    return best;
+  }
+
+  function checkDecimals(check) {
+    if (check.power === 0) return check.unit === "rad" ? 4 : 3;
+    return findUnit(check.unit).decimals;
+  }
+
+  // "+0.012 mm", "-0.3 deg"
+  function formatDeviation(result) {
+    var text = toFixedNoNegativeZero(result.deviation, checkDecimals(result.check));
+    return (text.charAt(0) === "-" ? "" : "+") + text + " " + checkUnitText(result.check);
+  }
+
+  // Called with each new panel snapshot
+  function logCheckResults(snap) {
+    if (toleranceChecks.length === 0) return;
+    var logged = 0;
+    snap.rows.forEach(function (row) {
+      toleranceChecks.forEach(function (check) {
+        var value = checkedValue(check, row.label, row.values);
+        if (value === null || isNaN(value)) return;
+        var measured = value / checkUnitFactor(check);
+        checkLog.push({
+          time: snap.time,
+          feature: snap.name,
+          check: check.name,
+          row: row.label + (check.axis ? "." + check.axis : ""),
+          measured: measured,
+          expected: check.expected,
+          tolerance: check.tolerance,
+          unit: checkUnitText(check),
+          pass: Math.abs(measured - check.expected) <= check.tolerance + 1e-9,
+        });
+        logged++;
+      });
+    });
+    if (logged === 0) return;
+    if (checkLog.length > MAX_CHECK_LOG_ENTRIES) checkLog.splice(0, checkLog.length - MAX_CHECK_LOG_ENTRIES);
+    saveChecks();
+    renderChecksPanel();
+  }
+
+  function latestCheckResult(check) {
+    for (var i = checkLog.length - 1; i >= 0; i--) {
+      if (checkLog[i].check === check.name) return checkLog[i];
+    }
+    return null;
+  }
+
+  // --- Row highlights ---
+
+  function getChecksOverlay() {
+    if (!checksOverlayEl) {
+      checksOverlayEl = document.createElement("div");
+      checksOverlayEl.id = "ocp-check-overlay";
+      Object.assign(checksOverlayEl.style, {
+        position: "fixed",
+        top: "0",
+        left: "0",
+        width: "0",
+        height: "0",
+        overflow: "visible",
+        pointerEvents: "none",
+        zIndex: "999996",
+      });
+      document.body.appendChild(checksOverlayEl);
+    }
+    return checksOverlayEl;
+  }
+
+  // Called from runViewerUpdate(): values change without the row labels
+  // changing, so unlike the copy buttons this is redrawn every time
+  function updateCheckOverlay() {
+    if (toleranceChecks.length === 0) {
+      if (checksOverlayEl) checksOverlayEl.innerHTML = "";
+      return;
+    }
+    var container = getChecksOverlay();
+    container.innerHTML = "";
+
+    findMeasurementPanels().forEach(function (panel) {
+      if (panel.style.display === "none") return;
+      var panelRect = panel.getBoundingClientRect();
+      getPanelRows(panel).forEach(function (row) {
+        var result = evaluateChecks(getRowLabel(row), getRowValues(row));
+        if (!result) return;
+        var color = result.pass ? CHECK_PASS_COLOR : CHECK_FAIL_COLOR;
+        var rect = row.getBoundingClientRect();
+
+        var box = document.createElement("div");
+        Object.assign(box.style, {
+          position: "absolute",
+          top: (rect.top - 1) + "px",
+          left: (rect.left - 1) + "px",
+          width: rect.width + "px",
+          height: rect.height + "px",
+          border: "1px solid " + color,
+          backgroundColor: result.pass ? "rgba(76, 175, 80, 0.15)" : "rgba(244, 67, 54, 0.15)",
+        });
+        container.appendChild(box);
+
+        // Right of the panel, pulled back over it when it would run past
+        // the window's right edge
+        var tag = document.createElement("div");
+        tag.textContent = (result.pass ? "✓ " : "✗ ") + result.check.name + " " + formatDeviation(result);
+        Object.assign(tag.style, {
+          position: "absolute",
+          top: (rect.top + rect.height / 2 - 8) + "px",
+          padding: "1px 5px",
+          borderRadius: "3px",
+          fontSize: "10px",
+          fontFamily: "monospace",
+          whiteSpace: "nowrap",
+          color: "#fff",
+          backgroundColor: color,
+        });
+        container.appendChild(tag);
+        var left = Math.min(panelRect.right + 4, window.innerWidth - tag.offsetWidth - 4);
+        tag.style.left = Math.max(0, left) + "px";
+      });
+    });
+  }
+
+  // --- Export ---
+
+  // Drops float noise such as 0.1999999999999993
+  function roundCheckValue(value) {
+    return parseFloat(value.toFixed(6));
+  }
+
+  function checkLogCsvRow(entry) {
+    return [
+      new Date(entry.time).toISOString(), entry.feature, entry.check, entry.row,
+      roundCheckValue(entry.measured), entry.expected, entry.tolerance, entry.unit,
+      roundCheckValue(entry.measured - entry.expected), entry.pass ? "pass" : "fail",
+    ].map(csvField).join(",");
+  }
+
+  // Every logged result, then a "not measured" line for each check that
+  // has none, so the export is the complete checklist
+  function exportChecksCsv() {
+    var lines = ["time,feature,check,row,measured,expected,tolerance,unit,deviation,result"];
+    checkLog.forEach(function (entry) {
+      lines.push(checkLogCsvRow(entry));
+    });
+    toleranceChecks.forEach(function (check) {
+      if (latestCheckResult(check)) return;
+      lines.push(["", "", check.name, check.row + (check.axis ? "." + check.axis : ""), "",
+                  check.expected, check.tolerance, checkUnitText(check), "", "not measured"].map(csvField).join(","));
+    });
+    downloadFile("ocp-checks-" + timestampForFilename() + ".csv", "text/csv", lines.join("\n") + "\n");
+  }
+
+  function exportChecksJson() {
+    var data = {
+      checks: toleranceChecks.map(function (check) {
+        var latest = latestCheckResult(check);
+        return {
+          name: check.name,
+          row: check.row + (check.axis ? "." + check.axis : ""),
+          expected: check.expected,
+          tolerance: check.tolerance,
+          unit: checkUnitText(check),
+          status: latest ? (latest.pass ? "pass" : "fail") : "not measured",
+        };
+      }),
+      log: checkLog.map(function (entry) {
+        return Object.assign({}, entry, { time: new Date(entry.time).toISOString() });
+      }),
+    };
+    downloadFile("ocp-checks-" + timestampForFilename() + ".json", "application/json",
+                 JSON.stringify(data, null, 2) + "\n");
+  }
+
+  // --- Panel ---
+
+  function createChecksPanel() {
+    if (checksPanelEl) return checksPanelEl;
+
+    checksPanelEl = document.createElement("div");
+    checksPanelEl.id = "ocp-checks-panel";
+    Object.assign(checksPanelEl.style, {
+      position: "fixed",
+      top: "12px",
+      left: "616px",
+      width: "340px",
+      maxHeight: "60vh",
+      overflowY: "auto",
+      display: "none",
+      padding: "10px 12px",
+      borderRadius: "8px",
+      fontSize: "12px",
+      fontFamily: "system-ui, -apple-system, sans-serif",
+      color: "#e0e0e0",
+      backgroundColor: "rgba(30, 30, 30, 0.95)",
+      border: "1px solid #444",
+      zIndex: "999998",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+    });
+
+    document.body.appendChild(checksPanelEl);
+    return checksPanelEl;
+  }
+
+  function renderChecksEditor() {
+    var textarea = document.createElement("textarea");
+    textarea.value = toleranceChecks.map(checkToText).join("\n");
+    textarea.placeholder = "Bore | Diameter | 12 ± 0.05 mm";
+    textarea.rows = Math.max(4, toleranceChecks.length + 1);
+    Object.assign(textarea.style, {
+      width: "100%",
+      boxSizing: "border-box",
+      fontFamily: "monospace",
+      fontSize: "11px",
+      color: "#fff",
+      background: "#222",
+      border: "1px solid #888",
+    });
+    checksPanelEl.appendChild(textarea);
+
+    var errorsEl = document.createElement("div");
+    Object.assign(errorsEl.style, { color: "#ff6b6b", whiteSpace: "pre-wrap" });
+    checksPanelEl.appendChild(errorsEl);
+
+    var buttons = document.createElement("div");
+    Object.assign(buttons.style, { display: "flex", gap: "6px", marginTop: "4px" });
+    buttons.appendChild(createPanelButton("Save", "Save checks", function () {
+      var parsed = parseChecksText(textarea.value);
+      if (parsed.errors.length > 0) {
+        errorsEl.textContent = parsed.errors.join("\n");
+        return;
+      }
+      toleranceChecks = parsed.checks;
+      checksEditing = false;
+      saveChecks();
+      renderChecksPanel();
+      updateCheckOverlay();
+      showToast("Saved " + toleranceChecks.length + " check" + (toleranceChecks.length === 1 ? "" : "s"), true);
+    }));
+    buttons.appendChild(createPanelButton("Cancel", "Discard changes", function () {
+      checksEditing = false;
+      renderChecksPanel();
+    }));
+    checksPanelEl.appendChild(buttons);
+    textarea.focus();
+  }
+
+  function renderCheckItem(check) {
+    var latest = latestCheckResult(check);
+    var item = document.createElement("div");
+    Object.assign(item.style, { display: "flex", alignItems: "baseline", gap: "6px", padding: "3px 0",
+                                borderBottom: "1px solid #3a3a3a" });
+
+    var status = document.createElement("span");
+    status.textContent = latest ? (latest.pass ? "✓" : "✗") : "–";
+    status.style.color = latest ? (latest.pass ? CHECK_PASS_COLOR : CHECK_FAIL_COLOR) : "#666";
+    item.appendChild(status);
+
+    var name = document.createElement("span");
+    name.textContent = check.name;
+    name.title = check.row + (check.axis ? "." + check.axis : "");
+    Object.assign(name.style, { flex: "1", fontWeight: "600", color: "#fff" });
+    item.appendChild(name);
+
+    var spec = document.createElement("span");
+    spec.textContent = latest
+      ? toFixedNoNegativeZero(latest.measured, checkDecimals(check)) + " / " + checkSpecText(check)
+      : checkSpecText(check);
+    Object.assign(spec.style, { fontFamily: "monospace", fontSize: "11px", color: "#bbb" });
+    item.appendChild(spec);
+
+    return item;
+  }
+
+  function renderChecksPanel() {
+    if (!checksPanelEl || checksPanelEl.style.display === "none") return;
+    checksPanelEl.innerHTML = "";
+
+    var passed = toleranceChecks.filter(function (check) {
+      var latest = latestCheckResult(check);
+      return latest && latest.pass;
+    }).length;
+    var title = document.createElement("div");
+    title.textContent = "Tolerance checks (" + passed + " of " + toleranceChecks.length + " passed, " +
+                        checkLog.length + " logged)";
+    Object.assign(title.style, { color: "#888", fontSize: "11px", marginBottom: "6px" });
+    checksPanelEl.appendChild(title);
+
+    if (checksEditing) {
+      renderChecksEditor();
+      return;
+    }
+
+    toleranceChecks.forEach(function (check) {
+      checksPanelEl.appendChild(renderCheckItem(check));
+    });
+    if (toleranceChecks.length === 0) {
+      var empty = document.createElement("div");
+      empty.textContent = "No checks defined";
+      empty.style.color = "#666";
+      checksPanelEl.appendChild(empty);
+    }
+
+    var footer = document.createElement("div");
+    Object.assign(footer.style, { display: "flex", gap: "4px", marginTop: "8px" });
+    footer.appendChild(createPanelButton("✎ Edit", "Edit checks as text", function () {
+      checksEditing = true;
+      renderChecksPanel();
+    }));
+    footer.appendChild(createPanelButton("CSV", "Export the checklist and log as CSV", exportChecksCsv));
+    footer.appendChild(createPanelButton("JSON", "Export the checklist and log as JSON", exportChecksJson));
+    footer.appendChild(createPanelButton("Clear log", "Clear the logged results", function () {
+      checkLog = [];
+      saveChecks();
+      renderChecksPanel();
+    }));
+    checksPanelEl.appendChild(footer);
+  }
+
+  function toggleChecksPanel() {
+    var panel = createChecksPanel();
+    panel.style.display = panel.style.display === "none" ? "block" : "none";
+    renderChecksPanel();
+  }
+
+  // =========================================================================
+  // Screenshots
+  //
+  //   ss — copy the viewer to the clipboard as PNG
+  //   sd — download it as ocp-screenshot-<time>.png
+  //   sc — turn the measurement caption on / off
+  //
+  // Content scripts cannot capture their own page, so background.js calls
+  // chrome.tabs.captureVisibleTab for us. The caption lists the rows of the
+  // visible properties / distance panels in the current unit mode (like the
+  // pinned cards) and is drawn below the capture on a canvas. Our transient
+  // UI — copy buttons, which-key, toast, prompt bar — is hidden while the
+  // tab is captured.
+  // =========================================================================
+
+  const SCREENSHOT_ACTIONS = [
+    { key: "s", action: "clipboard", label: "Screenshot to the clipboard" },
+    { key: "d", action: "download",  label: "Download a screenshot" },
+  ];
+  const SCREENSHOT_CAPTION_STORAGE_KEY = "screenshotCaption";
+  const SCREENSHOT_HIDDEN_IDS = ["ocp-copy-overlay", "ocp-whichkey-panel", "ocp-keybind-toast", "ocp-prompt-bar"];
+  const CAPTION_FONT_PX = 12;
+  const CAPTION_LINE_PX = 16;
+  const CAPTION_PADDING_PX = 8;
+
+  var screenshotCaption = true;
+  var screenshotBusy = false;
+
+  function loadScreenshotCaption() {
+    var query = {};
+    query[SCREENSHOT_CAPTION_STORAGE_KEY] = true;
+    chrome.storage.sync.get(query, function (items) {
+      screenshotCaption = items[SCREENSHOT_CAPTION_STORAGE_KEY] !== false;
+    });
+  }
+
+  function toggleScreenshotCaption() {
+    screenshotCaption = !screenshotCaption;
+    var items = {};
+    items[SCREENSHOT_CAPTION_STORAGE_KEY] = screenshotCaption;
+    chrome.storage.sync.set(items);
+    showToast("Screenshot caption " + (screenshotCaption ? "on" : "off"), screenshotCaption);
+  }
+
+  // [{ text, bold }] for every visible measurement panel
+  function screenshotCaptionLines() {
+    var lines = [];
+    findMeasurementPanels().forEach(function (panel) {
+      if (panel.style.display === "none") return;
+      var kind = panel.matches(DISTANCE_PANEL_SELECTOR) ? "distance" : "properties";
+      var rows = snapshotPinnedRows(panel);
+      if (rows.length === 0) return;
+      lines.push({ text: snapshotPanel(panel, kind).name, bold: true });
+      rows.forEach(function (row) {
+        lines.push({ text: row.label + ": " + formatPinnedValue(row), bold: false });
+      });
+    });
+    return lines;
+  }
+
+  // Hides our transient UI; returns a function that shows it again
+  function hideOwnUi() {
+    var hidden = [];
+    SCREENSHOT_HIDDEN_IDS.forEach(function (id) {
+      var el = document.getElementById(id);
+      if (!el) return;
+      hidden.push({ el: el, visibility: el.style.visibility });
+      el.style.visibility = "hidden";
+    });
+    return function () {
+      hidden.forEach(function (h) { h.el.style.visibility = h.visibility; });
+    };
+  }
+
+  // Resolves with the tab capture as a data URL
+  function captureTab() {
+    return new Promise(function (resolve, reject) {
+      var restore = hideOwnUi();
+      // Two frames, so the hidden UI is gone from the painted page
+      requestAnimationFrame(function () {
+        requestAnimationFrame(function () {
+          chrome.runtime.sendMessage({ type: "captureTab" }, function (response) {
+            restore();
+            if (chrome.runtime.lastError || !response) {
+              reject(new Error("Screenshot failed: background worker not available"));
+            } else if (response.needsPermission) {
+              reject(new Error("Screenshots need access to all sites — allow it on the Options page"));
+            } else if (response.error) {
+              reject(new Error("Screenshot failed: " + response.error));
+            } else {
+              resolve(response.dataUrl);
+            }
+          });
+        });
+      });
+    });
+  }
+
+  function loadImage(url) {
+    return new Promise(function (resolve, reject) {
+      var img = new Image();
+      img.onload = function () { resolve(img); };
+      img.onerror = function () { reject(new Error("Screenshot failed: could not decode the capture")); };
+      img.src = url;
+    });
+  }
+
+  // The capture with the caption below it, as a PNG blob. The capture is in
+  // device pixels, so the caption is scaled to match.
+  function composeScreenshot(img, lines) {
+    var scale = img.width / window.innerWidth || 1;
+    var captionHeight = lines.length === 0 ? 0
+      : Math.round((lines.length * CAPTION_LINE_PX + 2 * CAPTION_PADDING_PX) * scale);
+
+    var canvas = document.createElement("canvas");
+    canvas.width = img.width;
+    canvas.height = img.height + captionHeight;
+    var ctx = canvas.getContext("2d");
+    ctx.drawImage(img, 0, 0);
+
+    if (captionHeight > 0) {
+      ctx.fillStyle = "#1e1e1e";
+      ctx.fillRect(0, img.height, canvas.width, captionHeight);
+      ctx.textBaseline = "top";
+      lines.forEach(function (line, i) {
+        ctx.font = (line.bold ? "bold " : "") + Math.round(CAPTION_FONT_PX * scale) + "px monospace";
+        ctx.fillStyle = line.bold ? "#ffffff" : "#e0e0e0";
+        ctx.fillText(line.text, (CAPTION_PADDING_PX + (line.bold ? 0 : 12)) * scale,
+                     img.height + (CAPTION_PADDING_PX + i * CAPTION_LINE_PX) * scale);
+      });
+    }
+
+    return new Promise(function (resolve, reject) {
+      canvas.toBlob(function (blob) {
+        if (blob) resolve(blob);
+        else reject(new Error("Screenshot failed: could not encode PNG"));
+      }, "image/png");
+    });
+  }
+
+  function takeScreenshot(target) {
+    if (screenshotBusy) return;
+    screenshotBusy = true;
+    var lines = screenshotCaption ? screenshotCaptionLines() : [];
+
+    captureTab().then(loadImage).then(function (img) {
+      return composeScreenshot(img, lines);
+    }).then(function (blob) {
+      var captioned = lines.length > 0 ? " with caption" : "";
+      if (target === "download") {
+        var filename = "ocp-screenshot-" + timestampForFilename() + ".png";
+        downloadFile(filename, "image/png", blob);
+        showToast("Saved " + filename + captioned, true);
+        return;
+      }
+      return navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]).then(function () {
+        showToast("Screenshot copied" + captioned, true);
+      }, function () {
+        throw new Error("Screenshot copy failed");
+      });
+    }).catch(function (err) {
+      showToast(err.message, false);
+    }).then(function () {
+      screenshotBusy = false;
+    });
+  }
+
+  // =========================================================================
+  // Which-Key Panel (shows available yank commands)
+  // =========================================================================
+
+  function createWhichKeyPanel() {
+    if (whichKeyEl) return whichKeyEl;
+
+    whichKeyEl = document.createElement("div");
+    whichKeyEl.id = "ocp-whichkey-panel";
+    Object.assign(whichKeyEl.style, {
+      position: "fixed",
+      bottom: "44px",
+      right: "12px",
+      padding: "12px 16px",
+      borderRadius: "8px",
+      fontSize: "13px",
+      fontFamily: "monospace",
+      color: "#e0e0e0",
+      backgroundColor: "rgba(30, 30, 30, 0.95)",
+      border: "1px solid #444",
+      zIndex: "999999",
+      pointerEvents: "none",
+      opacity: "0",
+      transition: "opacity 0.15s ease-in-out",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+    });
+
+    document.body.appendChild(whichKeyEl);
+    return whichKeyEl;
+  }
+
+  // For user-provided text (preset names) in the which-key HTML
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, function (ch) {
+      return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch];
+    });
+  }
+
+  function renderWhichKeyOption(key, label, dim) {
+    var keyStyle = "display: inline-block; min-width: 18px; padding: 2px 5px; background: " +
+                   (dim ? "#333" : "#444") + "; border-radius: 3px; margin-right: 8px; text-align: center; color: " +
+                   (dim ? "#666" : "#fff") + "; font-size: 11px;";
+    var labelStyle = dim ? "color: #555;" : "color: #bbb;";
+    return '<div style="display: flex; align-items: center; margin: 2px 0;">' +
+           '<span style="' + keyStyle + '">' + key + '</span>' +
+           '<span style="' + labelStyle + '">' + label + '</span>' +
+           '</div>';
+  }
+
+  function showWhichKey(mode) {
+    var panel = createWhichKeyPanel();
+
+    var distPanel = document.querySelector(DISTANCE_PANEL_SELECTOR);
+    var propPanel = document.querySelector(PROPERTIES_PANEL_SELECTOR);
+    var distVisible = distPanel && distPanel.style.display !== "none";
+    var propVisible = propPanel && propPanel.style.display !== "none";
+
+    // Detect panel type from subheader
+    var panelType = "none";
+    if (propVisible) {
+      var subheader = propPanel.querySelector(".tcv_measure_subheader");
+      if (subheader) {
+        var text = subheader.textContent.toLowerCase();
+        if (text.indexOf("vertex") !== -1 || text.indexOf("point") !== -1) panelType = "vertex";
+        else if (text.indexOf("edge") !== -1) panelType = "edge";
+        else if (text.indexOf("face") !== -1 || text.indexOf("plane") !== -1) panelType = "face";
+      }
+    }
+
+    var html = "";
+
+    if (mode === "sequence") {
+      html = renderSequenceMenu();
+    } else if (mode === "registerselect") {
+      html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">Register:</div>';
+      html += '<div>';
+      html += renderWhichKeyOption("a–z", "Yank into register", false);
+      html += renderWhichKeyOption("A–Z", "Append to register", false);
+      html += '</div>';
+    } else if (mode === "register") {
+      var regName = activeRegister ? activeRegister.name : "?";
+      var regContent = registers[regName];
+      html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">"' +
+             (activeRegister && activeRegister.append ? regName.toUpperCase() : regName) + ' +</div>';
+      html += '<div>';
+      html += renderWhichKeyOption(keyLabelFor("yankPrefix"), activeRegister && activeRegister.append ? "Yank and append" : "Yank into register", false);
+      html += renderWhichKeyOption("N", "Row yank (Ny, N{x|y|z}y)", false);
+      html += renderWhichKeyOption("p", "Put onto clipboard" + (regContent ? "" : " (empty)"), !regContent);
+      html += '</div>';
+    } else if (mode === "treequery") {
+      var count = treeQuery ? treeQuery.paths.length : 0;
+      html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">' + count + " match" +
+             (count === 1 ? "" : "es") + " for " + escapeHtml(treeQuery ? treeQuery.pattern : "") + ':</div>';
+      html += '<div>';
+      TREE_QUERY_ACTIONS.forEach(function (a) {
+        html += renderWhichKeyOption(a.key, a.label, false);
+      });
+      html += '</div>';
+    } else if (mode === "macrorecord") {
+      html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">Record macro:</div>';
+      html += '<div>';
+      html += renderWhichKeyOption("a–z", "Record into macro", false);
+      html += renderWhichKeyOption("A–Z", "Append to macro", false);
+      html += '</div>';
+    } else if (mode === "macroplay") {
+      html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">Play macro:</div>';
+      html += '<div>';
+      var macroNames = Object.keys(macros).sort();
+      for (var mi = 0; mi < macroNames.length; mi++) {
+        var macroCmds = macros[macroNames[mi]].commands;
+        html += renderWhichKeyOption(macroNames[mi], escapeHtml(macroCmds.map(describeCommand).join(", ")), false);
+      }
+      if (macroNames.length === 0) html += renderWhichKeyOption("a–z", "No macros recorded", true);
+      html += renderWhichKeyOption("@", "Last played" + (lastPlayedMacro ? ": @" + lastPlayedMacro : ""), !lastPlayedMacro);
+      html += '</div>';
+    }
+
+    if (lastCommand) {
+      html += '<div style="margin-top: 6px; padding-top: 6px; border-top: 1px solid #444;">' +
+              renderWhichKeyOption(keyLabelFor("repeat"), "Repeat: " + escapeHtml(describeCommand(lastCommand)), false) +
+              '</div>';
+    }
+
+    panel.innerHTML = html;
+    panel.style.opacity = "1";
+
+    // The sequence engine runs its own timer (see armSequence)
+    if (whichKeyTimer) clearTimeout(whichKeyTimer);
+    whichKeyTimer = null;
+    if (mode === "sequence") return;
+
+    // Auto-hide after timeout
+    var timeout = mode === "treequery" ? TREE_QUERY_TIMEOUT_MS : WHICH_KEY_TIMEOUT_MS;
+    whichKeyTimer = setTimeout(function () {
+      hideWhichKey();
+      registerPending = false;
+      activeRegister = null;
+      treeQuery = null;
+      macroPending = "";
+    }, timeout);
+  }
+
+  function hideWhichKey() {
+    if (whichKeyEl) {
+      whichKeyEl.style.opacity = "0";
+    }
+    if (whichKeyTimer) {
+      clearTimeout(whichKeyTimer);
+      whichKeyTimer = null;
+    }
+  }
+
+  // =========================================================================
+  // Tree Node Hide/Show (Nh = toggle Nth node, 0h = toggle all)
+  // =========================================================================
+
+  function getTreeNodes() {
+    // Get direct child nodes under the top-level group
+    var container = document.querySelector(TREE_CONTAINER_SELECTOR);
+    if (!container) return [];
+
+    // The top-level node is always /Group — its children are the actual shapes
+    var topNode = container.querySelector('.tv-tree-node[data-path="/Group"]');
+    if (!topNode) {
+      // Fallback: try the first top-level node
+      topNode = container.querySelector(".tv-tree-node");
+    }
+    if (!topNode) return [];
+
+    var childrenContainer = topNode.querySelector(".tv-children");
+    if (!childrenContainer) return [];
+
+    // Direct child .tv-tree-node elements
+    var nodes = [];
+    var children = childrenContainer.children;
+    for (var i = 0; i < children.length; i++) {
+      if (children[i].classList.contains("tv-tree-node")) {
+        nodes.push(children[i]);
+      }
+    }
+    return nodes;
+  }
+
+  function toggleTreeNodeVisibility(node) {
+    // Click the shape icon (.tv-icon0) to toggle visibility
+    var icon = node.querySelector(".tv-node-content .tv-icon0");
+    if (icon) {
+      icon.click();
+      return true;
+    }
+    return false;
+  }
+
+  function getTreeNodeLabel(node) {
+    var label = node.querySelector(".tv-node-label");
+    if (!label) return "?";
+    // Get text without the colored dot span
+    var text = "";
+    for (var i = 0; i < label.childNodes.length; i++) {
+      if (label.childNodes[i].nodeType === Node.TEXT_NODE) {
+        text += label.childNodes[i].textContent;
+      }
+    }
+    return text.trim() || label.textContent.trim();
+  }
+
+  function isTreeNodeVisible(node) {
+    var icon = node.querySelector(".tv-node-content .tv-icon0");
+    if (!icon) return false;
+    // If the icon has tcv_button_shape (not _no or _mix), it's visible
+    return icon.classList.contains("tcv_button_shape");
+  }
+
+  function handleHideByNumber(num) {
+    if (num === 0) {
+      // Toggle all: click the top-level Group's shape icon
+      var container = document.querySelector(TREE_CONTAINER_SELECTOR);
+      if (!container) {
+        showToast("No CAD tree found", false);
+        return;
+      }
+      var topNode = container.querySelector('.tv-tree-node[data-path="/Group"]');
+      if (!topNode) topNode = container.querySelector(".tv-tree-node");
+      if (!topNode) {
+        showToast("No tree node found", false);
+        return;
+      }
+      var toggled = toggleTreeNodeVisibility(topNode);
+      if (toggled) {
+        showToast("Toggle All", true);
+      }
+      return;
+    }
+
+    var nodes = getTreeNodes();
+    if (num > nodes.length) {
+      showToast("Node " + num + " not found (only " + nodes.length + " nodes)", false);
+      return;
+    }
+    var node = nodes[num - 1];
+    var label = getTreeNodeLabel(node);
+    var wasVisible = isTreeNodeVisible(node);
+    toggleTreeNodeVisibility(node);
+    showToast(label + (wasVisible ? " hidden" : " shown"), !wasVisible);
+  }
+
+  // =========================================================================
+  // Tree Cursor Mode
+  //
+  // "t" puts a cursor on the CAD tree so nested assemblies can be reached
+  // from the keyboard. The cursor is an overlay outside the tree DOM (like the
+  // copy buttons) and remembers the node by its data-path, so it stays on the
+  // same node when the viewer re-renders the tree. Keys not listed in
+  // TREE_CURSOR_KEYS keep their normal meaning while the mode is active.
+  // Moves marked `count` take a number prefix (3j, 2J).
+  // =========================================================================
+
+  const TREE_CURSOR_KEYS = [
+    { key: "j",       display: "j",     label: "Down",              count: true, run: function (n) { moveTreeCursor(n); } },
+    { key: "k",       display: "k",     label: "Up",                count: true, run: function (n) { moveTreeCursor(-n); } },
+    { key: "h",       display: "h",     label: "Collapse / parent", run: function () { collapseAtTreeCursor(); } },
+    { key: "l",       display: "l",     label: "Expand / child",    run: function () { expandAtTreeCursor(); } },
+    { key: " ",       display: "Space", label: "Toggle visibility", run: function () { toggleAtTreeCursor(); } },
+    { key: "shift+p", display: "P",     label: "Parent",            run: function () { moveTreeCursorToParent(); } },
+    { key: "shift+j", display: "J",     label: "Next sibling",      count: true, run: function (n) { moveTreeCursorToSibling(n); } },
+    { key: "shift+k", display: "K",     label: "Previous sibling",  count: true, run: function (n) { moveTreeCursorToSibling(-n); } },
+    { key: "escape",  display: "Esc",   label: "Leave tree mode",   run: function () { exitTreeMode(); } },
+  ];
+
+  var treeModeActive = false;
+  var treeCursorPath = null;
+  var treeCursorEl = null;
+  var treeStatusEl = null;
+  var treeCursorFrame = 0;
+
+  function findTreeNodeByPath(path) {
+    var container = document.querySelector(TREE_CONTAINER_SELECTOR);
+    if (!container || path === null) return null;
+    var nodes = container.querySelectorAll(".tv-tree-node");
+    for (var i = 0; i < nodes.length; i++) {
+      if (nodes[i].getAttribute("data-path") === path) return nodes[i];
+    }
+    return null;
+  }
+
+  function getTreeNodeContent(node) {
+    return node.querySelector(":scope > .tv-node-content");
+  }
+
+  function getTreeChildNodes(node) {
+    var childrenContainer = node.querySelector(":scope > .tv-children");
+    if (!childrenContainer) return [];
+    return Array.prototype.filter.call(childrenContainer.children, function (child) {
+      return child.classList.contains("tv-tree-node");
+    });
+  }
+
+  function getTreeParentNode(node) {
+    var parent = node.parentElement && node.parentElement.closest(".tv-tree-node");
+    return parent && parent.closest(TREE_CONTAINER_SELECTOR) ? parent : null;
+  }
+
+  // Hidden when the node or any ancestor inside the tree is display: none
+  function isTreeNodeRendered(node) {
+    for (var el = node; el && !el.matches(TREE_CONTAINER_SELECTOR); el = el.parentElement) {
+      if (getComputedStyle(el).display === "none") return false;
+    }
+    return true;
+  }
+
+  function isTreeNodeExpanded(node) {
+    var children = getTreeChildNodes(node);
+    return children.length > 0 && isTreeNodeRendered(children[0]);
+  }
+
+  // Rendered nodes in document (= display) order
+  function getNavigableTreeNodes() {
+    var container = document.querySelector(TREE_CONTAINER_SELECTOR);
+    if (!container) return [];
+    return Array.prototype.filter.call(container.querySelectorAll(".tv-tree-node"), isTreeNodeRendered);
+  }
+
+  // The node under the cursor. If it disappeared or was collapsed away, fall
+  // back to its closest rendered ancestor, then to the first node.
+  function getTreeCursorNode() {
+    var path = treeCursorPath;
+    while (path) {
+      var node = findTreeNodeByPath(path);
+      if (node && isTreeNodeRendered(node)) {
+        treeCursorPath = path;
+        return node;
+      }
+      path = path.lastIndexOf("/") > 0 ? path.slice(0, path.lastIndexOf("/")) : null;
+    }
+    var nodes = getNavigableTreeNodes();
+    treeCursorPath = nodes.length > 0 ? nodes[0].getAttribute("data-path") : null;
+    return nodes.length > 0 ? nodes[0] : null;
+  }
+
+  function setTreeCursor(node) {
+    treeCursorPath = node.getAttribute("data-path");
+    var content = getTreeNodeContent(node);
+    if (content && content.scrollIntoView) content.scrollIntoView({ block: "nearest" });
+    updateTreeCursor();
+  }
+
+  function moveTreeCursor(delta) {
+    var nodes = getNavigableTreeNodes();
+    var idx = nodes.indexOf(getTreeCursorNode());
+    if (idx === -1) return;
+    var next = Math.max(0, Math.min(nodes.length - 1, idx + delta));
+    setTreeCursor(nodes[next]);
+  }
+
+  function moveTreeCursorToParent() {
+    var node = getTreeCursorNode();
+    var parent = node && getTreeParentNode(node);
+    if (parent) setTreeCursor(parent);
+    else showToast("Already at the top", false);
+  }
+
+  function moveTreeCursorToSibling(delta) {
+    var node = getTreeCursorNode();
+    if (!node) return;
+    var parent = getTreeParentNode(node);
+    var siblings = parent ? getTreeChildNodes(parent) : [node];
+    var idx = siblings.indexOf(node) + delta;
+    var sibling = siblings[Math.max(0, Math.min(siblings.length - 1, idx))];
+    if (sibling !== node) setTreeCursor(sibling);
+    else showToast(delta > 0 ? "Last sibling" : "First sibling", false);
+  }
+
+  function clickTreeToggle(node) {
+    var content = getTreeNodeContent(node);
+    var toggle = content && content.querySelector(".tv-toggle");
+    if (!toggle) return false;
+    toggle.click();
+    return true;
+  }
+
+  // h: collapse an expanded node, otherwise go to the parent
+  function collapseAtTreeCursor() {
+    var node = getTreeCursorNode();
+    if (!node) return;
+    if (isTreeNodeExpanded(node) && clickTreeToggle(node)) {
+      scheduleTreeCursorUpdate();
+      return;
+    }
+    moveTreeCursorToParent();
+  }
+
+  // l: expand a collapsed node, otherwise go to its first child
+  function expandAtTreeCursor() {
+    var node = getTreeCursorNode();
+    if (!node) return;
+    if (!isTreeNodeExpanded(node)) {
+      if (clickTreeToggle(node)) scheduleTreeCursorUpdate();
+      else showToast(getTreeNodeLabel(node) + " has no children", false);
+      return;
+    }
+    setTreeCursor(getTreeChildNodes(node)[0]);
+  }
+
+  function toggleAtTreeCursor() {
+    var node = getTreeCursorNode();
+    if (!node) return;
+    var wasVisible = isTreeNodeVisible(node);
+    if (toggleTreeNodeVisibility(node)) {
+      showToast(getTreeNodeLabel(node) + (wasVisible ? " hidden" : " shown"), !wasVisible);
+    }
+    updateTreeCursor();
+  }
+
+  function createTreeCursorElements() {
+    if (treeCursorEl) return;
+
+    treeCursorEl = document.createElement("div");
+    treeCursorEl.id = "ocp-tree-cursor";
+    Object.assign(treeCursorEl.style, {
+      position: "fixed",
+      border: "2px solid #4da3ff",
+      borderRadius: "3px",
+      backgroundColor: "rgba(77, 163, 255, 0.15)",
+      pointerEvents: "none",
+      zIndex: "999997",
+      display: "none",
+    });
+    document.body.appendChild(treeCursorEl);
+
+    treeStatusEl = document.createElement("div");
+    treeStatusEl.id = "ocp-tree-status";
+    Object.assign(treeStatusEl.style, {
+      position: "fixed",
+      bottom: "12px",
+      left: "12px",
+      maxWidth: "60vw",
+      padding: "6px 10px",
+      borderRadius: "6px",
+      fontSize: "12px",
+      fontFamily: "monospace",
+      color: "#e0e0e0",
+      backgroundColor: "rgba(30, 30, 30, 0.95)",
+      border: "1px solid #444",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+      zIndex: "999999",
+      pointerEvents: "none",
+      display: "none",
+    });
+    document.body.appendChild(treeStatusEl);
+  }
+
+  function renderTreeStatus(node) {
+    var hints = TREE_CURSOR_KEYS.map(function (k) { return k.display + " " + k.label; }).join(" · ");
+    treeStatusEl.textContent = "";
+
+    var title = document.createElement("div");
+    title.style.color = "#4da3ff";
+    title.style.fontWeight = "700";
+    title.textContent = node
+      ? "TREE  " + node.getAttribute("data-path") + (isTreeNodeVisible(node) ? "" : "  (hidden)")
+      : "TREE  no CAD tree found";
+    treeStatusEl.appendChild(title);
+
+    var help = document.createElement("div");
+    help.style.color = "#888";
+    help.style.marginTop = "4px";
+    help.textContent = hints;
+    treeStatusEl.appendChild(help);
+  }
+
+  function updateTreeCursor() {
+    if (!treeModeActive) return;
+    var node = getTreeCursorNode();
+    var content = node && getTreeNodeContent(node);
+    renderTreeStatus(node);
+
+    if (!content) {
+      treeCursorEl.style.display = "none";
+      return;
+    }
+    var rect = content.getBoundingClientRect();
+    Object.assign(treeCursorEl.style, {
+      display: "block",
+      left: (rect.left - 2) + "px",
+      top: (rect.top - 2) + "px",
+      width: rect.width + "px",
+      height: rect.height + "px",
+    });
+  }
+
+  function scheduleTreeCursorUpdate() {
+    if (!treeModeActive || treeCursorFrame) return;
+    treeCursorFrame = requestAnimationFrame(function () {
+      treeCursorFrame = 0;
+      updateTreeCursor();
+    });
+  }
+
+  // Tree re-rendered or expanded/collapsed (called from the DOM observer)
+  function affectsTree(mutations) {
+    for (var i = 0; i < mutations.length; i++) {
+      var target = mutations[i].target;
+      if (target.nodeType === Node.ELEMENT_NODE && target.closest(TREE_CONTAINER_SELECTOR)) return true;
+      if (target.nodeType === Node.ELEMENT_NODE && target.querySelector(TREE_CONTAINER_SELECTOR)) return true;
+    }
+    return false;
+  }
+
+  function onTreeScroll() {
+    scheduleTreeCursorUpdate();
+  }
+
+  function enterTreeMode() {
+    if (!document.querySelector(TREE_CONTAINER_SELECTOR)) {
+      showToast("No CAD tree found", false);
+      return;
+    }
+    createTreeCursorElements();
+    treeModeActive = true;
+    treeStatusEl.style.display = "block";
+    document.addEventListener("scroll", onTreeScroll, true);
+    window.addEventListener("resize", onTreeScroll);
+    var node = getTreeCursorNode();
+    if (node) setTreeCursor(node);
+    else updateTreeCursor();
+  }
+
+  function exitTreeMode() {
+    treeModeActive = false;
+    document.removeEventListener("scroll", onTreeScroll, true);
+    window.removeEventListener("resize", onTreeScroll);
+    if (treeCursorFrame) {
+      cancelAnimationFrame(treeCursorFrame);
+      treeCursorFrame = 0;
+    }
+    if (treeCursorEl) treeCursorEl.style.display = "none";
+    if (treeStatusEl) treeStatusEl.style.display = "none";
+  }
+
+  function toggleTreeMode() {
+    if (treeModeActive) exitTreeMode();
+    else enterTreeMode();
+  }
+
+  // Returns true if the key was a tree cursor key. With a count, only the
+  // moves that take one match.
+  function handleTreeModeKey(event, count) {
+    var mapKey = (event.shiftKey && event.key !== " " ? "shift+" : "") + event.key.toLowerCase();
+    for (var i = 0; i < TREE_CURSOR_KEYS.length; i++) {
+      var entry = TREE_CURSOR_KEYS[i];
+      if (entry.key !== mapKey || (count !== undefined && !entry.count)) continue;
+      event.preventDefault(); // Space would scroll the page
+      entry.run(count || 1);
+      return true;
+    }
+    return false;
+  }
+
+  // =========================================================================
+  // Visibility Presets
+  //
+  //   p<N>  — apply preset N
+  //   ps    — save the current visibility as a named preset
+  //   pd<N> — delete preset N
+  //
+  // A preset maps each tree node's data-path to shown/hidden. Presets are
+  // stored in chrome.storage.local per model, where the model is identified
+  // by the paths of its top-level nodes. Applying works top-down and reads
+  // each node's state just before deciding, because showing or hiding a
+  // parent also changes its children; only nodes that differ are clicked.
+  // =========================================================================
+
+  const PRESETS_STORAGE_KEY = "visibilityPresets";
+  const MAX_PRESETS = 9;
+
+  var visibilityPresets = {};  // model key -> [{ name, nodes: { path: visible }, time }]
+
+  function loadPresets() {
+    var query = {};
+    query[PRESETS_STORAGE_KEY] = {};
+    chrome.storage.local.get(query, function (items) {
+      visibilityPresets = items[PRESETS_STORAGE_KEY] || {};
+    });
+  }
+
+  function savePresets() {
+    var items = {};
+    items[PRESETS_STORAGE_KEY] = visibilityPresets;
+    chrome.storage.local.set(items);
+  }
+
+  function presetModelKey() {
+    var nodes = getTreeNodes();
+    if (nodes.length === 0) return null;
+    return nodes.map(function (node) { return node.getAttribute("data-path"); }).join("|");
+  }
+
+  function getModelPresets() {
+    var key = presetModelKey();
+    return key ? (visibilityPresets[key] || []) : [];
+  }
+
+  function captureVisibility() {
+    var container = document.querySelector(TREE_CONTAINER_SELECTOR);
+    var nodes = container ? container.querySelectorAll(".tv-tree-node[data-path]") : [];
+    var state = {};
+    for (var i = 0; i < nodes.length; i++) {
+      state[nodes[i].getAttribute("data-path")] = isTreeNodeVisible(nodes[i]);
+    }
+    return state;
+  }
+
+  // Bring the tree to { path: visible } (paths not listed are left alone).
+  // Returns { changed, missing } node counts.
+  function applyVisibilityState(state) {
+    var paths = Object.keys(state).sort(function (a, b) {
+      return a.split("/").length - b.split("/").length;
+    });
+    var changed = 0;
+    var missing = 0;
+    for (var i = 0; i < paths.length; i++) {
+      var node = findTreeNodeByPath(paths[i]);
+      if (!node) {
+        missing++;
+        continue;
+      }
+      if (isTreeNodeVisible(node) !== state[paths[i]] && toggleTreeNodeVisibility(node)) {
+        changed++;
+      }
+    }
+    scheduleTreeCursorUpdate();
+    return { changed: changed, missing: missing };
+  }
+
+  function savePreset(name) {
+    var key = presetModelKey();
+    if (!key) {
+      showToast("No CAD tree found", false);
+      return;
+    }
+    var presets = (visibilityPresets[key] || []).slice();
+    var preset = { name: name, nodes: captureVisibility(), time: Date.now() };
+
+    var existing = presets.map(function (p) { return p.name; }).indexOf(name);
+    if (existing !== -1) {
+      presets[existing] = preset;
+    } else if (presets.length >= MAX_PRESETS) {
+      showToast("Only " + MAX_PRESETS + " presets per model — delete one first", false);
+      return;
+    } else {
+      presets.push(preset);
+    }
+    visibilityPresets[key] = presets;
+    savePresets();
+    showToast("Saved preset " + (presets.indexOf(preset) + 1) + ": " + name, true);
+  }
+
+  function promptSavePreset() {
+    if (!presetModelKey()) {
+      showToast("No CAD tree found", false);
+      return;
+    }
+    showPromptBar({
+      label: "Save preset as:",
+      value: "Preset " + (getModelPresets().length + 1),
+      onSubmit: function (value) {
+        if (value.trim() !== "") savePreset(value.trim());
+      },
+    });
+  }
+
+  function applyPreset(num) {
+    var preset = getModelPresets()[num - 1];
+    if (!preset) {
+      showToast("No preset " + num + " for this model", false);
+      return;
+    }
+
+    var result = applyVisibilityState(preset.nodes);
+    showToast(preset.name + ": " + result.changed + " node" + (result.changed === 1 ? "" : "s") + " changed" +
+              (result.missing > 0 ? ", " + result.missing + " not found" : ""), true);
+  }
+
+  function deletePreset(num) {
+    var key = presetModelKey();
+    var presets = getModelPresets();
+    var preset = presets[num - 1];
+    if (!preset) {
+      showToast("No preset " + num + " for this model", false);
+      return;
+    }
+    visibilityPresets[key] = presets.filter(function (p) { return p !== preset; });
+    if (visibilityPresets[key].length === 0) delete visibilityPresets[key];
+    savePresets();
+    showToast("Deleted preset " + preset.name, false);
+  }
+
+  // =========================================================================
+  // Tree Query (/pattern, then h / s / i)
+  //
+  // Matches node labels across the whole tree. The pattern is
+  //   /regex/flags  — a regular expression
+  //   bolt_M4_*     — a glob (* and ?), matched against the whole label
+  //   panel         — anything else: a case-insensitive substring
+  // After Enter the which-key panel offers hide, show and isolate for the
+  // matched nodes. Isolate shows the matches (and everything inside them)
+  // and hides every node that neither contains nor is inside a match.
+  // =========================================================================
+
+  const TREE_QUERY_TIMEOUT_MS = 5000; // time to pick h / s / i after Enter
+
+  // Keys offered after Enter
+  const TREE_QUERY_ACTIONS = [
+    { key: "h", action: "hide",    label: "Hide matches" },
+    { key: "s", action: "show",    label: "Show matches" },
+    { key: "i", action: "isolate", label: "Isolate (hide everything else)" },
+  ];
+
+  var treeQuery = null;   // { pattern, paths } waiting for h / s / i
+  var treeQueryTime = 0;
+
+  // Returns a label test function, or null for an invalid regex
+  function compileTreeQuery(pattern) {
+    var regexMatch = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+    if (regexMatch) {
+      try {
+        // g and y make test() stateful (lastIndex), which would skip matches
+        var re = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ""));
+        return function (label) { return re.test(label); };
+      } catch (e) {
+        return null;
+      }
+    }
+    if (/[*?]/.test(pattern)) {
+      var source = pattern.split("").map(function (ch) {
+        if (ch === "*") return ".*";
+        if (ch === "?") return ".";
+        return ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      }).join("");
+      var glob = new RegExp("^" + source + "$", "i");
+      return function (label) { return glob.test(label); };
+    }
+    var needle = pattern.toLowerCase();
+    return function (label) { return label.toLowerCase().indexOf(needle) !== -1; };
+  }
+
+  function getAllTreeNodes() {
+    var container = document.querySelector(TREE_CONTAINER_SELECTOR);
+    if (!container) return [];
+    return Array.prototype.slice.call(container.querySelectorAll(".tv-tree-node[data-path]"));
+  }
+
+  // data-paths of the matching nodes, or null for an invalid pattern
+  function findTreeMatches(pattern) {
+    var test = compileTreeQuery(pattern);
+    if (!test) return null;
+    return getAllTreeNodes().filter(function (node) {
+      return test(getTreeNodeLabel(node));
+    }).map(function (node) {
+      return node.getAttribute("data-path");
+    });
+  }
+
+  function describeTreeMatches(pattern) {
+    if (pattern === "") return "";
+    var paths = findTreeMatches(pattern);
+    if (paths === null) return "invalid regex";
+    return paths.length + " match" + (paths.length === 1 ? "" : "es");
+  }
+
+  function openTreeQuery() {
+    if (!document.querySelector(TREE_CONTAINER_SELECTOR)) {
+      showToast("No CAD tree found", false);
+      return;
+    }
+    showPromptBar({
+      label: "Find nodes:",
+      placeholder: "name, bolt_M4_*, /regex/i",
+      onInput: describeTreeMatches,
+      onSubmit: function (pattern) {
+        if (pattern === "") return;
+        var paths = findTreeMatches(pattern);
+        if (paths === null) {
+          showToast("Invalid regex: " + pattern, false);
+          return;
+        }
+        if (paths.length === 0) {
+          showToast("No nodes match " + pattern, false);
+          return;
+        }
+        treeQuery = { pattern: pattern, paths: paths };
+        treeQueryTime = Date.now();
+        showWhichKey("treequery");
+      },
+    });
+  }
+
+  function isPathInside(path, ancestor) {
+    return path.indexOf(ancestor + "/") === 0;
+  }
+
+  function applyTreeQuery(action, query) {
+    var state = {};
+    var i;
+    if (action === "isolate") {
+      var all = getAllTreeNodes();
+      for (i = 0; i < all.length; i++) {
+        var path = all[i].getAttribute("data-path");
+        var matched = query.paths.some(function (m) { return path === m || isPathInside(path, m); });
+        var containsMatch = query.paths.some(function (m) { return isPathInside(m, path); });
+        if (matched) state[path] = true;
+        else if (!containsMatch) state[path] = false;
+      }
+    } else {
+      for (i = 0; i < query.paths.length; i++) state[query.paths[i]] = action === "show";
+    }
+
+    var result = applyVisibilityState(state);
+    var verb = { hide: "Hid", show: "Showed", isolate: "Isolated" }[action];
+    showToast(verb + " " + query.paths.length + " match" + (query.paths.length === 1 ? "" : "es") +
+              " for " + query.pattern + " (" + result.changed + " changed)", action !== "hide");
+  }
+
+  // Returns true if the key was consumed after a query
+  function handleTreeQueryKey(pressed) {
+    var query = treeQuery;
+    treeQuery = null;
+    hideWhichKey();
+
+    var choice = TREE_QUERY_ACTIONS.filter(function (a) { return a.key === pressed; })[0];
+    if (choice) {
+      runCommand({ type: "treeQuery", action: choice.action, pattern: query.pattern });
+      return true;
+    }
+    return pressed === "escape";
+  }
+
+  // =========================================================================
+  // Prompt Bar
+  //
+  // A single-line input at the top of the viewer for commands that need
+  // text: showPromptBar({ label, value, placeholder, onInput, onSubmit }).
+  // onInput(value) may return a hint shown to the right of the input.
+  // Enter submits, Escape or clicking elsewhere cancels.
+  // =========================================================================
+
+  var promptBarEl = null;
+
+  function closePromptBar() {
+    if (!promptBarEl) return;
+    var el = promptBarEl;
+    promptBarEl = null;
+    el.remove();
+  }
+
+  function showPromptBar(options) {
+    closePromptBar();
+
+    var bar = document.createElement("div");
+    bar.id = "ocp-prompt-bar";
+    Object.assign(bar.style, {
+      position: "fixed",
+      top: "16px",
+      left: "50%",
+      transform: "translateX(-50%)",
+      display: "flex",
+      alignItems: "center",
+      gap: "8px",
+      padding: "8px 12px",
+      borderRadius: "8px",
+      fontSize: "13px",
+      fontFamily: "system-ui, -apple-system, sans-serif",
+      color: "#e0e0e0",
+      backgroundColor: "rgba(30, 30, 30, 0.97)",
+      border: "1px solid #444",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+      zIndex: "1000000",
+    });
+
+    var label = document.createElement("span");
+    label.textContent = options.label;
+    label.style.color = "#888";
+    bar.appendChild(label);
+
+    var input = document.createElement("input");
+    input.value = options.value || "";
+    input.placeholder = options.placeholder || "";
+    Object.assign(input.style, {
+      width: "260px",
+      padding: "3px 6px",
+      fontSize: "13px",
+      fontFamily: "monospace",
+      background: "#222",
+      color: "#fff",
+      border: "1px solid #888",
+      borderRadius: "4px",
+      outline: "none",
+    });
+    bar.appendChild(input);
+
+    var hint = document.createElement("span");
+    hint.style.color = "#888";
+    hint.style.fontFamily = "monospace";
+    bar.appendChild(hint);
+
+    function updateHint() {
+      if (options.onInput) hint.textContent = options.onInput(input.value) || "";
+    }
+
+    input.addEventListener("input", updateHint);
+    input.addEventListener("keydown", function (e) {
+      e.stopPropagation();
+      if (e.key === "Enter") {
+        e.preventDefault();
+        var value = input.value;
+        closePromptBar();
+        options.onSubmit(value);
+      } else if (e.key === "Escape") {
+        closePromptBar();
+      }
+    });
+    input.addEventListener("blur", function () {
+      if (promptBarEl === bar) closePromptBar();
+    });
+
+    document.body.appendChild(bar);
+    promptBarEl = bar;
+    updateHint();
+    input.focus();
+    input.select();
+  }
+
+  // =========================================================================
+  // Toast notification
+  // =========================================================================
+
+  let toastEl = null;
+  let toastTimer = null;
+
+  function getToast() {
+    if (!toastEl) {
+      toastEl = document.createElement("div");
+      toastEl.id = "ocp-keybind-toast";
+      Object.assign(toastEl.style, {
+        position: "fixed",
+        bottom: "24px",
+        left: "50%",
+        transform: "translateX(-50%)",
+        padding: "8px 18px",
+        borderRadius: "6px",
+        fontSize: "14px",
+        fontWeight: "600",
+        fontFamily: "system-ui, -apple-system, sans-serif",
+        color: "#fff",
+        zIndex: "999999",
+        pointerEvents: "none",
+        opacity: "0",
+        transition: "opacity 0.2s ease-in-out",
+      });
+      document.body.appendChild(toastEl);
+    }
+    return toastEl;
+  }
+
+  function showToast(message, isActive) {
+    var el = getToast();
+    el.style.backgroundColor = isActive
+      ? "rgba(34, 139, 34, 0.9)"
+      : "rgba(80, 80, 80, 0.9)";
+    el.textContent = message;
+    el.style.opacity = "1";
+
+    if (toastTimer) clearTimeout(toastTimer);
+    toastTimer = setTimeout(function () {
+      el.style.opacity = "0";
+    }, TOAST_DURATION_MS);
+  }
+
+  // =========================================================================
+  // Button helpers
+  // =========================================================================
+
+  function findButton(selector) {
+    return document.querySelector(selector);
+  }
+
+  function isButtonActive(button) {
+    var frame = button.closest(FRAME_SELECTOR);
+    return frame ? frame.classList.contains(ACTIVE_CLASS) : false;
+  }
+
+  // =========================================================================
+  // Viewer Bridge Client
+  //
+  // bridge.js runs in the page's main world and can reach the viewer object
+  // itself (camera, selection, tree states). bridgeRequest(method, params)
+  // returns a Promise of the result; it rejects with an Error carrying a
+  // `code` ("timeout", "no_viewer", "unsupported", ...) on failure.
+  // =========================================================================
+
+  const BRIDGE_CHANNEL = "ocp-viewer-bridge";
+  const BRIDGE_PROTOCOL_VERSION = 1; // must match bridge.js
+  const BRIDGE_TIMEOUT_MS = 1000;
+
+  var bridgeNextId = 1;
+  var bridgePending = {};  // id -> { resolve, reject, timer }
+
+  function bridgeRequest(method, params) {
+    return new Promise(function (resolve, reject) {
+      var id = "c" + bridgeNextId++;
+      var timer = setTimeout(function () {
+        delete bridgePending[id];
+        var err = new Error("Viewer bridge did not answer " + method);
+        err.code = "timeout";
+        reject(err);
+      }, BRIDGE_TIMEOUT_MS);
+      bridgePending[id] = { resolve: resolve, reject: reject, timer: timer };
+      window.postMessage({
+        channel: BRIDGE_CHANNEL,
+        type: "request",
+        version: BRIDGE_PROTOCOL_VERSION,
+        id: id,
+        method: method,
+        params: params || {},
+      }, "*");
+    });
+  }
+
+  function handleBridgeMessage(event) {
+    if (event.source !== window) return;
+    var data = event.data;
+    if (!data || data.channel !== BRIDGE_CHANNEL || data.type !== "response") return;
+    var pending = bridgePending[data.id];
+    if (!pending) return;
+    delete bridgePending[data.id];
+    clearTimeout(pending.timer);
+    if (data.ok) {
+      pending.resolve(data.result);
+    } else {
+      var err = new Error(data.error);
+      err.code = data.code;
+      pending.reject(err);
+    }
+  }
+
+  function yankCamera() {
+    bridgeRequest("camera.get").then(function (camera) {
+      deliverYank(JSON.stringify(camera), "Camera", "camera");
+    }).catch(function (err) {
+      yankFailed("Camera: " + err.message);
+    });
+  }
+
+  // =========================================================================
+  // Actions — shared by the key handler and the command palette
+  // =========================================================================
+
+  function clickToolBinding(binding) {
+    var button = findButton(binding.selector);
+    if (!button) {
+      showToast(binding.label + " — toolbar not ready", false);
+      return;
+    }
+
+    button.click();
+
+    var wasToggled = isButtonActive(button);
+    showToast(binding.label + (wasToggled ? " ON" : " OFF"), wasToggled);
+  }
+
+  // Camera view by number (Nv)
+  function activateView(num) {
+    var view = VIEW_MAP[num];
+    if (!view) {
+      showToast("No view for " + num, false);
+      return;
+    }
+    var btn = findButton(view.selector);
+    if (btn) {
+      btn.click();
+      showToast(view.label, true);
+    } else {
+      showToast(view.label + " — not found", false);
+    }
+  }
+
+  // View option toggle (v<key>)
+  function toggleViewOption(vBinding) {
+    if (vBinding.checkbox) {
+      // Grid plane checkbox — toggle it
+      var cb = document.querySelector(vBinding.checkbox);
+      if (cb) {
+        cb.click();
+        showToast(vBinding.label + (cb.checked ? " ON" : " OFF"), cb.checked);
+      } else {
+        showToast(vBinding.label + " — not found", false);
+      }
+    } else {
+      var btn = findButton(vBinding.selector);
+      if (btn) {
+        btn.click();
+        var active = isButtonActive(btn);
+        showToast(vBinding.label + (active ? " ON" : " OFF"), active);
+      } else {
+        showToast(vBinding.label + " — not found", false);
+      }
+    }
+  }
+
+  // Toggles between mm and the last other unit picked
+  function toggleUnit() {
+    switchUnit(currentUnit === VIEWER_UNIT ? alternateUnit : VIEWER_UNIT);
+    showToast("Units: " + findUnit(currentUnit).name, true);
+  }
+
+  // Fractional inches cycle the denominator; decimal units cycle 0..6 places
+  function cyclePrecision() {
+    if (findUnit(currentUnit).fractional) {
+      var idx = PRECISIONS.indexOf(currentPrecision);
+      setPrecision(PRECISIONS[(idx + 1) % PRECISIONS.length]);
+    } else {
+      setDecimals(currentUnit, (unitDecimals[currentUnit] + 1) % (MAX_DECIMALS + 1));
+    }
+    showToast("Precision: " + describePrecision(), true);
+  }
+
+  function cycleAngleUnit() {
+    var idx = ANGLE_UNITS.indexOf(findAngleUnit(currentAngleUnit));
+    setAngleUnit(ANGLE_UNITS[(idx + 1) % ANGLE_UNITS.length].id);
+    showToast("Angles: " + findAngleUnit(currentAngleUnit).name, true);
+  }
+
+  // =========================================================================
+  // Command Dispatcher and Dot-Repeat
+  //
+  // Completed key sequences are described as plain command objects and run
+  // through runCommand(), which remembers the last one for "." ("N." repeats
+  // it N times):
+  //   { type: "tool", id }                         u, Shift+u
+  //   { type: "view", num }                        Nv
+  //   { type: "viewOption", id }                   v<key>
+  //   { type: "hide", num }                        Nh
+  //   { type: "yank", variant: "primary" }         yy
+  //   { type: "yank", variant: "table" }           0y
+  //   { type: "yank", variant: "row", row }        Ny
+  //   { type: "yank", variant: "axis", row, axis } N{x|y|z}y
+  //   { type: "preset", num }                      p<N>
+  //   { type: "treeQuery", action, pattern }       /pattern then h, s or i
+  //   { type: "chain", action }                    c<key> (CHAIN_ACTIONS)
+  //   { type: "screenshot", target }               ss, sd (SCREENSHOT_ACTIONS)
+  //   { type: "action", id }                       direct keys in ACTION_COMMANDS
+  //   { type: "wait", ms }                         pause (macro playback only)
+  // =========================================================================
+
+  const MAX_REPEAT_COUNT = 99;
+
+  // Direct-key actions without arguments, by keymap id (the ids in
+  // OcpCommands.ACTION_IDS)
+  const ACTION_COMMANDS = {
+    toggleUnit: toggleUnit,
+    cyclePrecision: cyclePrecision,
+    cycleAngleUnit: cycleAngleUnit,
+    historyPanel: toggleHistoryPanel,
+    registersPanel: toggleRegistersPanel,
+    macrosPanel: toggleMacrosPanel,
+    pinMeasurement: function () { pinPanel(null); },
+    dismissPins: dismissAllPins,
+    checksPanel: toggleChecksPanel,
+  };
+
+  var lastCommand = null;
+
+  function findBindingById(map, id) {
+    for (var key in map) {
+      if (map[key].id === id) return map[key];
+    }
+    return null;
+  }
+
+  function executeCommand(cmd) {
+    switch (cmd.type) {
+      case "tool":
+        var tool = findBindingById(KEYBINDINGS, cmd.id);
+        if (tool) clickToolBinding(tool);
+        else showToast("Unknown tool: " + cmd.id, false);
+        return;
+      case "view":
+        activateView(cmd.num);
+        return;
+      case "viewOption":
+        var option = findBindingById(V_PREFIX_MAP, cmd.id);
+        if (option) toggleViewOption(option);
+        else showToast("Unknown view option: " + cmd.id, false);
+        return;
+      case "hide":
+        handleHideByNumber(cmd.num);
+        return;
+      case "yank":
+        if (cmd.variant === "primary") yankPrimary();
+        else if (cmd.variant === "table") yankWholeTable();
+        else if (cmd.variant === "row") yankRowN(cmd.row);
+        else if (cmd.variant === "axis") yankRowAxis(cmd.row, cmd.axis);
+        return;
+      case "preset":
+        applyPreset(cmd.num);
+        return;
+      case "treeQuery":
+        var paths = findTreeMatches(cmd.pattern);
+        if (paths && paths.length > 0) applyTreeQuery(cmd.action, { pattern: cmd.pattern, paths: paths });
+        else showToast("No nodes match " + cmd.pattern, false);
+        return;
+      case "chain":
+        runChainAction(cmd.action);
+        return;
+      case "screenshot":
+        takeScreenshot(cmd.target);
+        return;
+      case "action":
+        if (ACTION_COMMANDS[cmd.id]) ACTION_COMMANDS[cmd.id]();
+        else showToast("Unknown action: " + cmd.id, false);
+        return;
+      case "wait":
+        return;
+    }
+    showToast("Unknown command: " + cmd.type, false);
+  }
+
+  // Ny: 0y is the whole table
+  function rowYankCommand(num) {
+    return num === 0 ? { type: "yank", variant: "table" } : { type: "yank", variant: "row", row: num };
+  }
+
+  // --- Number prefix suffixes (OcpKeymap.NUMBER_SUFFIXES) ---
+
+  function findNumberSuffix(id) {
+    return OcpKeymap.NUMBER_SUFFIXES.filter(function (s) { return s.id === id; })[0];
+  }
+
+  // "Camera view N" -> "Front View" for 1v, "Hide / show node N" -> "... node 3"
+  function numberSuffixLabel(suffix, num) {
+    if (suffix.id === "view") return VIEW_MAP[num] ? VIEW_MAP[num].label : "No view " + num;
+    var label = suffix.label.replace(/\bN\b/, num);
+    return suffix.confirm ? label + ", then " + suffix.confirm : label;
+  }
+
+  // num is the typed digit string
+  function numberSuffixCommand(id, num, axis) {
+    switch (id) {
+      case "view":
+        return { type: "view", num: num };
+      case "hide":
+        return { type: "hide", num: parseInt(num, 10) };
+      case "yankRow":
+        return rowYankCommand(parseInt(num, 10));
+      case "yankAxis":
+        return { type: "yank", variant: "axis", row: parseInt(num, 10), axis: axis };
+    }
+    return null;
+  }
+
+  function runCommand(cmd) {
+    if (cmd.type !== "wait") lastCommand = cmd;
+    recordMacroCommand(cmd);
+    executeCommand(cmd);
+  }
+
+  // "yank row 2 x", "toggle Grid", "Front View", ...
+  function describeCommand(cmd) {
+    switch (cmd.type) {
+      case "tool":
+        var tool = findBindingById(KEYBINDINGS, cmd.id);
+        return "toggle " + (tool ? tool.label : cmd.id);
+      case "view":
+        return VIEW_MAP[cmd.num] ? VIEW_MAP[cmd.num].label : "view " + cmd.num;
+      case "viewOption":
+        var option = findBindingById(V_PREFIX_MAP, cmd.id);
+        return "toggle " + (option ? option.label : cmd.id);
+      case "hide":
+        return cmd.num === 0 ? "toggle all nodes" : "toggle node " + cmd.num;
+      case "yank":
+        if (cmd.variant === "primary") return "yank primary value";
+        if (cmd.variant === "table") return "yank whole table";
+        if (cmd.variant === "row") return "yank row " + cmd.row;
+        return "yank row " + cmd.row + " " + cmd.axis;
+      case "preset":
+        return "apply preset " + cmd.num;
+      case "treeQuery":
+        return cmd.action + " " + cmd.pattern;
+      case "chain":
+        var chainAction = CHAIN_ACTIONS.filter(function (a) { return a.action === cmd.action; })[0];
+        return "chain: " + (chainAction ? chainAction.label.toLowerCase() : cmd.action);
+      case "screenshot":
+        var shot = SCREENSHOT_ACTIONS.filter(function (a) { return a.action === cmd.target; })[0];
+        return shot ? shot.label.toLowerCase() : "screenshot " + cmd.target;
+      case "action":
+        var action = OcpKeymap.DEFAULTS.filter(function (a) { return a.id === cmd.id; })[0];
+        return action ? action.label : cmd.id;
+      case "wait":
+        return "wait " + cmd.ms + " ms";
+    }
+    return cmd.type;
+  }
+
+  function repeatLastCommand(count) {
+    if (!lastCommand) {
+      showToast("Nothing to repeat", false);
+      return;
+    }
+    count = Math.min(count || 1, MAX_REPEAT_COUNT);
+    for (var i = 0; i < count; i++) {
+      recordMacroCommand(lastCommand);
+      executeCommand(lastCommand);
+    }
+  }
+
+  // =========================================================================
+  // Macros
+  //
+  //   q<a-z>  — start recording into macro a (q<A-Z> appends to it)
+  //   q       — stop recording
+  //   @<a-z>  — play macro a;  @@ plays the last played macro again
+  //
+  // Recording captures the commands passing through runCommand() and "."
+  // rather than raw keys, so a macro keeps working if the keymap changes.
+  // Playback waits MACRO_STEP_DELAY_MS between steps so the viewer can
+  // update; a "wait <ms>" line pauses longer and Escape stops playback.
+  // Macros live in chrome.storage.local and are edited as text in the macros
+  // panel, one command per line:
+  //
+  //   view 1
+  //   viewOption transparent
+  //   tool properties
+  //   wait 500
+  //   yank row 3
+  // =========================================================================
+
+  const MACROS_STORAGE_KEY = "macros";
+  const MACRO_STEP_DELAY_MS = 250;
+
+  var macros = {};              // name -> { commands: [...], time }
+  var macroPending = "";        // "record" after q, "play" after @
+  var macroRecording = null;    // { name, commands } while recording
+  var macroPlayback = null;     // { title, timer } while playing ("@a", ",gf")
+  var lastPlayedMacro = null;
+  var macroIndicatorEl = null;
+  var macrosPanelEl = null;
+  var macroEditing = null;      // name of the macro open in the text editor
+
+  function loadMacros() {
+    var query = {};
+    query[MACROS_STORAGE_KEY] = {};
+    chrome.storage.local.get(query, function (items) {
+      macros = items[MACROS_STORAGE_KEY] || {};
+      renderMacrosPanel();
+    });
+  }
+
+  function saveMacros() {
+    var items = {};
+    items[MACROS_STORAGE_KEY] = macros;
+    chrome.storage.local.set(items);
+  }
+
+  // --- Recording ---
+
+  function recordMacroCommand(cmd) {
+    if (macroRecording) macroRecording.commands.push(cmd);
+  }
+
+  function startMacroRecording(name, append) {
+    var existing = append && macros[name] ? macros[name].commands.slice() : [];
+    macroRecording = { name: name, commands: existing };
+    updateMacroIndicator();
+  }
+
+  function stopMacroRecording() {
+    var rec = macroRecording;
+    macroRecording = null;
+    updateMacroIndicator();
+    if (rec.commands.length === 0) {
+      showToast("Nothing recorded for @" + rec.name, false);
+      return;
+    }
+    macros[rec.name] = { commands: rec.commands, time: Date.now() };
+    saveMacros();
+    renderMacrosPanel();
+    showToast("Recorded @" + rec.name + " (" + rec.commands.length + " commands)", true);
+  }
+
+  // --- Playback ---
+
+  function playMacro(name) {
+    if (macroRecording && macroRecording.name === name) {
+      showToast("Cannot play @" + name + " while recording it", false);
+      return;
+    }
+    var macro = macros[name];
+    if (!macro || macro.commands.length === 0) {
+      showToast("Macro @" + name + " is empty", false);
+      return;
+    }
+
+    lastPlayedMacro = name;
+    playCommands("@" + name, macro.commands);
+  }
+
+  // Runs commands one after another, MACRO_STEP_DELAY_MS apart. Custom
+  // sequences play through here too.
+  function playCommands(title, commands) {
+    if (macroPlayback) {
+      showToast(macroPlayback.title + " is still running", false);
+      return;
+    }
+    macroPlayback = { title: title, timer: null };
+    updateMacroIndicator();
+    commands = commands.slice();
+    var index = 0;
+
+    function step() {
+      if (!macroPlayback) return;
+      if (index >= commands.length) {
+        macroPlayback = null;
+        updateMacroIndicator();
+        return;
+      }
+      var cmd = commands[index++];
+      runCommand(cmd);
+      macroPlayback.timer = setTimeout(step, cmd.type === "wait" ? cmd.ms : MACRO_STEP_DELAY_MS);
+    }
+    step();
+  }
+
+  function stopMacroPlayback() {
+    if (!macroPlayback) return;
+    clearTimeout(macroPlayback.timer);
+    showToast("Stopped " + macroPlayback.title, false);
+    macroPlayback = null;
+    updateMacroIndicator();
+  }
+
+  // The register name typed after q or @
+  function handleMacroKey(event) {
+    var mode = macroPending;
+    macroPending = "";
+    hideWhichKey();
+    if (event.key === "Escape") return;
+
+    if (mode === "play" && event.key === "@") {
+      if (lastPlayedMacro) playMacro(lastPlayedMacro);
+      else showToast("No macro played yet", false);
+      return;
+    }
+    if (!/^[a-zA-Z]$/.test(event.key)) {
+      showToast("Invalid macro register: " + event.key, false);
+      return;
+    }
+    var name = event.key.toLowerCase();
+    if (mode === "record") startMacroRecording(name, event.key !== name);
+    else playMacro(name);
+  }
+
+  function updateMacroIndicator() {
+    if (!macroIndicatorEl) {
+      macroIndicatorEl = document.createElement("div");
+      macroIndicatorEl.id = "ocp-macro-indicator";
+      Object.assign(macroIndicatorEl.style, {
+        position: "fixed",
+        bottom: "12px",
+        left: "50%",
+        transform: "translateX(-50%)",
+        padding: "4px 10px",
+        borderRadius: "4px",
+        fontSize: "12px",
+        fontFamily: "monospace",
+        backgroundColor: "rgba(30, 30, 30, 0.95)",
+        border: "1px solid #444",
+        zIndex: "999999",
+        pointerEvents: "none",
+        display: "none",
+      });
+      document.body.appendChild(macroIndicatorEl);
+    }
+    if (macroRecording) {
+      macroIndicatorEl.textContent = "● recording @" + macroRecording.name + " (q stops)";
+      macroIndicatorEl.style.color = "#ff6b6b";
+    } else if (macroPlayback) {
+      macroIndicatorEl.textContent = "▶ playing " + macroPlayback.title + " (Esc stops)";
+      macroIndicatorEl.style.color = "#7ddc7d";
+    }
+    macroIndicatorEl.style.display = macroRecording || macroPlayback ? "block" : "none";
+  }
+
+  // --- Panel ---
+
+  function createMacrosPanel() {
+    if (macrosPanelEl) return macrosPanelEl;
+
+    macrosPanelEl = document.createElement("div");
+    macrosPanelEl.id = "ocp-macros-panel";
+    Object.assign(macrosPanelEl.style, {
+      position: "fixed",
+      top: "12px",
+      left: "304px",
+      width: "300px",
+      maxHeight: "60vh",
+      overflowY: "auto",
+      display: "none",
+      padding: "10px 12px",
+      borderRadius: "8px",
+      fontSize: "12px",
+      fontFamily: "system-ui, -apple-system, sans-serif",
+      color: "#e0e0e0",
+      backgroundColor: "rgba(30, 30, 30, 0.95)",
+      border: "1px solid #444",
+      zIndex: "999998",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.4)",
+    });
+
+    document.body.appendChild(macrosPanelEl);
+    return macrosPanelEl;
+  }
+
+  function macroText(macro) {
+    return macro.commands.map(OcpCommands.commandToText).join("\n");
+  }
+
+  function renderMacroEditor(item, name) {
+    var textarea = document.createElement("textarea");
+    textarea.value = macroText(macros[name]);
+    textarea.rows = Math.max(4, macros[name].commands.length + 1);
+    Object.assign(textarea.style, {
+      width: "100%",
+      boxSizing: "border-box",
+      marginTop: "4px",
+      fontFamily: "monospace",
+      fontSize: "11px",
+      color: "#fff",
+      background: "#222",
+      border: "1px solid #888",
+    });
+    item.appendChild(textarea);
+
+    var errorsEl = document.createElement("div");
+    Object.assign(errorsEl.style, { color: "#ff6b6b", whiteSpace: "pre-wrap" });
+    item.appendChild(errorsEl);
+
+    var buttons = document.createElement("div");
+    Object.assign(buttons.style, { display: "flex", gap: "6px", marginTop: "4px" });
+    buttons.appendChild(createPanelButton("Save", "Save macro", function () {
+      var parsed = OcpCommands.parseCommandText(textarea.value);
+      if (parsed.errors.length > 0) {
+        errorsEl.textContent = parsed.errors.join("\n");
+        return;
+      }
+      if (parsed.commands.length === 0) {
+        errorsEl.textContent = "A macro needs at least one command";
+        return;
+      }
+      macros[name] = { commands: parsed.commands, time: Date.now() };
+      macroEditing = null;
+      saveMacros();
+      renderMacrosPanel();
+      showToast("Saved @" + name, true);
+    }));
+    buttons.appendChild(createPanelButton("Cancel", "Discard changes", function () {
+      macroEditing = null;
+      renderMacrosPanel();
+    }));
+    item.appendChild(buttons);
+    textarea.focus();
+  }
+
+  function renderMacrosPanel() {
+    if (!macrosPanelEl || macrosPanelEl.style.display === "none") return;
+    macrosPanelEl.innerHTML = "";
+
+    var title = document.createElement("div");
+    title.textContent = "Macros (q<name> records, @<name> plays)";
+    Object.assign(title.style, { color: "#888", fontSize: "11px", marginBottom: "6px" });
+    macrosPanelEl.appendChild(title);
+
+    var names = Object.keys(macros).sort();
+    if (names.length === 0) {
+      var empty = document.createElement("div");
+      empty.textContent = "No macros recorded";
+      empty.style.color = "#666";
+      macrosPanelEl.appendChild(empty);
+      return;
+    }
+
+    for (var i = 0; i < names.length; i++) {
+      (function (name) {
+        var macro = macros[name];
+        var item = document.createElement("div");
+        Object.assign(item.style, { padding: "5px 0", borderBottom: "1px solid #3a3a3a" });
+
+        var header = document.createElement("div");
+        Object.assign(header.style, { display: "flex", alignItems: "center", gap: "6px" });
+
+        var nameEl = document.createElement("span");
+        nameEl.textContent = "@" + name;
+        Object.assign(nameEl.style, { fontFamily: "monospace", fontWeight: "700", color: "#fff" });
+        header.appendChild(nameEl);
+
+        var countEl = document.createElement("span");
+        countEl.textContent = macro.commands.length + (macro.commands.length === 1 ? " command" : " commands");
+        Object.assign(countEl.style, { flex: "1", color: "#888" });
+        header.appendChild(countEl);
+
+        header.appendChild(createPanelButton("▶", "Play macro", function () {
+          playMacro(name);
+        }));
+        header.appendChild(createPanelButton("✎", "Edit as text", function () {
+          macroEditing = name;
+          renderMacrosPanel();
+        }));
+        header.appendChild(createPanelButton("✕", "Delete macro", function () {
+          delete macros[name];
+          if (macroEditing === name) macroEditing = null;
+          saveMacros();
+          renderMacrosPanel();
+        }));
+        item.appendChild(header);
+
+        if (macroEditing === name) {
+          renderMacroEditor(item, name);
+        } else {
+          var body = document.createElement("pre");
+          body.textContent = macroText(macro);
+          Object.assign(body.style, {
+            margin: "3px 0 0 0",
+            fontFamily: "monospace",
+            fontSize: "11px",
+            color: "#bbb",
+            whiteSpace: "pre-wrap",
+          });
+          item.appendChild(body);
+        }
+
+        macrosPanelEl.appendChild(item);
+      })(names[i]);
+    }
+  }
+
+  function toggleMacrosPanel() {
+    var panel = createMacrosPanel();
+    panel.style.display = panel.style.display === "none" ? "block" : "none";
+    renderMacrosPanel();
+  }
+
+  // =========================================================================
+  // Sequence Engine
+  //
+  // Every multi-key binding is a path of key combos in a trie. A sequence is
+  //   { keys: ["y", "f", "p"], count, group, label, display, hint(count),
+  //     when(), timeout, run(count) }
+  // where count is "none", "required" (Nv, Nh, Ny, N.) or "optional" (custom
+  // sequences, where N repeats them). Digits typed first form the count;
+  // counted sequences live in their own trie because Nv and v<key> start
+  // with the same key. Keys without "run" only name a prefix node (hint and
+  // label), e.g. the "Format ▸" step of yf<key>.
+  //
+  // While keys are pending, the which-key panel lists the next keys of the
+  // current node. Each node waits for the longest timeout of the sequences
+  // through it. A node that completes one sequence and starts longer ones
+  // (Ny and Nyy) runs on timeout, or as soon as a key that continues none of
+  // them is pressed; that key is then dispatched again as if nothing were
+  // pending, so 2y3v yanks row 2 and shows view 3. Any other unknown key
+  // drops the pending keys and is dispatched the same way (yu toggles
+  // Distance), and Escape cancels silently.
+  //
+  // buildSequences() rebuilds the tries from the keymap, NUMBER_SUFFIXES,
+  // YANK_FORMATS, presets, TREE_CURSOR_KEYS and the custom sequences.
+  // Single direct keys stay in KEY_MAP.
+  // =========================================================================
+
+  const SEQUENCE_TIMEOUT_MS = 1500;
+
+  var sequenceTries = { plain: newSequenceNode(), counted: newSequenceNode() };
+  var sequenceDefs = [];        // every runnable sequence, in definition order
+  var customSequences = [];     // [{ keys, label, commands, timeout }] from storage
+  var pendingSequence = null;   // { count, keys, node } while keys are pending
+  var sequenceTimer = null;
+
+  function newSequenceNode() {
+    return { children: {}, sequence: null, hint: null, label: null, timeout: SEQUENCE_TIMEOUT_MS };
+  }
+
+  // Shift only matters for letters: "?" or "@" already imply it
+  function sequenceCombo(key, shift) {
+    key = key.toLowerCase();
+    return shift && /^[a-z]$/.test(key) ? "shift+" + key : key;
+  }
+
+  function bindingCombo(id) {
+    var binding = findBindingById(KEY_MAP, id);
+    return binding ? sequenceCombo(binding.key, binding.shift) : null;
+  }
+
+  // "shift+j" -> "J", " " -> "Space"
+  function displayCombo(combo) {
+    if (combo.indexOf("shift+") === 0) return combo.slice(6).toUpperCase();
+    return combo === " " ? "Space" : combo;
+  }
+
+  // "gF" -> ["g", "shift+f"]
+  function combosFromText(text) {
+    return text.split("").map(function (ch) {
+      return sequenceCombo(ch, ch !== ch.toLowerCase());
+    });
+  }
+
+  function addSequence(def) {
+    var roots = def.count === "required" ? [sequenceTries.counted]
+              : def.count === "optional" ? [sequenceTries.plain, sequenceTries.counted]
+              : [sequenceTries.plain];
+    roots.forEach(function (root) {
+      var node = root;
+      def.keys.forEach(function (combo) {
+        if (!node.children[combo]) node.children[combo] = newSequenceNode();
+        node = node.children[combo];
+        if (def.timeout) node.timeout = Math.max(node.timeout, def.timeout);
+      });
+      if (def.run) {
+        node.sequence = def;
+      } else {
+        node.hint = def.hint || null;
+        node.label = def.label;
+      }
+    });
+    if (def.run) {
+      if (!def.display) {
+        def.display = (def.count === "required" ? "N" : "") + def.keys.map(displayCombo).join("");
+      }
+      sequenceDefs.push(def);
+    }
+  }
+
+  function buildSequences() {
+    sequenceTries = { plain: newSequenceNode(), counted: newSequenceNode() };
+    sequenceDefs = [];
+
+    // --- View options: v<key> ---
+    var viewPrefix = bindingCombo("viewPrefix");
+    var viewOptionsGroup = OcpKeymap.GROUPS.filter(function (g) { return g.id === "viewOptions"; })[0].label;
+    if (viewPrefix) {
+      Object.keys(V_PREFIX_MAP).forEach(function (combo) {
+        var option = V_PREFIX_MAP[combo];
+        addSequence({
+          keys: [viewPrefix, sequenceCombo(option.key, option.shift)],
+          group: viewOptionsGroup,
+          label: option.label,
+          run: function () { runCommand({ type: "viewOption", id: option.id }); },
+        });
+      });
+    }
+
+    // --- Number prefix: Nv, Nh, Ny, N{x|y|z}y ---
+    OcpKeymap.NUMBER_SUFFIXES.forEach(function (suffix) {
+      if (suffix.confirm) {
+        suffix.keys.forEach(function (axis) {
+          addSequence({
+            keys: [axis],
+            count: "required",
+            label: "Yank " + axis.toUpperCase() + " of row N",
+            hint: function (n) { return "Yank " + axis.toUpperCase() + " of row " + n; },
+          });
+          addSequence({
+            keys: [axis, suffix.confirm],
+            count: "required",
+            group: "Number prefix",
+            display: suffix.display,
+            label: suffix.label,
+            hint: function (n) { return "Yank " + axis.toUpperCase() + " of row " + n; },
+            run: function (n) { runCommand(numberSuffixCommand(suffix.id, String(n), axis)); },
+          });
+        });
+        return;
+      }
+      addSequence({
+        keys: suffix.keys,
+        count: "required",
+        group: "Number prefix",
+        display: suffix.display,
+        label: suffix.label,
+        hint: function (n) { return numberSuffixLabel(suffix, String(n)); },
+        run: function (n) { runCommand(numberSuffixCommand(suffix.id, String(n))); },
+      });
+    });
+
+    // --- Counts for "." and the tree cursor ---
+    var repeat = bindingCombo("repeat");
+    if (repeat) {
+      addSequence({
+        keys: [repeat],
+        count: "required",
+        group: "Number prefix",
+        label: "Repeat the last command N times",
+        hint: function (n) { return "Repeat last " + n + "×"; },
+        run: function (n) { repeatLastCommand(n); },
+      });
+    }
+    TREE_CURSOR_KEYS.forEach(function (k) {
+      if (!k.count) return;
+      addSequence({
+        keys: [k.key],
+        count: "required",
+        group: "Number prefix",
+        display: "N" + k.display,
+        label: "Tree mode: " + k.label + " N times",
+        hint: function (n) { return "Tree cursor: " + k.label + " " + n + "×"; },
+        when: function () { return treeModeActive; },
+        run: function (n) { k.run(n); },
+      });
+    });
+
+    // --- Yank: yy, yf<format> ---
+    var yank = bindingCombo("yankPrefix");
+    if (yank) {
+      addSequence({
+        keys: [yank, yank],
+        group: "Yank",
+        label: "Yank the primary value",
+        hint: function () {
+          var panel = getVisiblePanel();
+          var rows = panel ? getPanelRows(panel) : [];
+          return rows.length > 0 ? "Yank " + getRowLabel(rows[0]) : "Yank the primary value (no panel)";
+        },
+        run: function () { runCommand({ type: "yank", variant: "primary" }); },
+      });
+      addSequence({
+        keys: [yank, "f"],
+        label: "Format",
+        hint: function () { return "Format: " + YANK_FORMATS[currentYankFormat].label; },
+      });
+      Object.keys(YANK_FORMATS).forEach(function (formatId) {
+        var fmt = YANK_FORMATS[formatId];
+        addSequence({
+          keys: [yank, "f", fmt.key],
+          group: "Yank",
+          label: "Yank format: " + fmt.label,
+          hint: function () { return fmt.label + (formatId === currentYankFormat ? " ✓" : ""); },
+          run: function () {
+            setYankFormat(formatId);
+            showToast("Yank format: " + fmt.label, true);
+          },
+        });
+      });
+    }
+
+    // --- Distance chain: c<key> ---
+    var chain = bindingCombo("chainPrefix");
+    if (chain) {
+      CHAIN_ACTIONS.forEach(function (a) {
+        addSequence({
+          keys: [chain, a.key],
+          group: "Distance chain",
+          label: a.label,
+          hint: function () {
+            if (a.action === "toggle") return chainActive ? "Stop chaining" : "Start chaining";
+            return a.label;
+          },
+          run: function () { runCommand({ type: "chain", action: a.action }); },
+        });
+      });
+    }
+
+    // --- Screenshots: s<key> ---
+    var shot = bindingCombo("screenshotPrefix");
+    if (shot) {
+      SCREENSHOT_ACTIONS.forEach(function (a) {
+        addSequence({
+          keys: [shot, a.key],
+          group: "Screenshots",
+          label: a.label,
+          run: function () { runCommand({ type: "screenshot", target: a.action }); },
+        });
+      });
+      addSequence({
+        keys: [shot, "c"],
+        group: "Screenshots",
+        label: "Measurement caption on / off",
+        hint: function () { return "Turn the caption " + (screenshotCaption ? "off" : "on"); },
+        run: toggleScreenshotCaption,
+      });
+    }
+
+    // --- Visibility presets: p<N>, ps, pd<N> ---
+    var preset = bindingCombo("presetPrefix");
+    if (preset) {
+      var presetName = function (num) {
+        var presets = getModelPresets();
+        return presets[num - 1] ? presets[num - 1].name : null;
+      };
+      for (var num = 1; num <= MAX_PRESETS; num++) {
+        (function (num) {
+          addSequence({
+            keys: [preset, String(num)],
+            group: "Visibility presets",
+            display: displayCombo(preset) + "1–" + MAX_PRESETS,
+            label: "Apply preset",
+            hint: function () { return presetName(num); },
+            run: function () { runCommand({ type: "preset", num: num }); },
+          });
+          addSequence({
+            keys: [preset, "d", String(num)],
+            group: "Visibility presets",
+            display: displayCombo(preset) + "d1–" + MAX_PRESETS,
+            label: "Delete preset",
+            hint: function () { return presetName(num); },
+            run: function () { deletePreset(num); },
+          });
+        })(num);
+      }
+      addSequence({
+        keys: [preset, "s"],
+        group: "Visibility presets",
+        label: "Save current visibility…",
+        run: function () { promptSavePreset(); },
+      });
+      addSequence({ keys: [preset, "d"], label: "Delete" });
+    }
+
+    // --- Custom sequences: <leader><keys> ---
+    var leader = bindingCombo("leader");
+    if (leader) {
+      customSequences.forEach(function (custom) {
+        var parsed = OcpCommands.parseCommandText(custom.commands || "");
+        // The options page only saves valid sequences; skip anything else
+        if (!custom.keys || parsed.errors.length > 0 || parsed.commands.length === 0) return;
+        var title = displayCombo(leader) + custom.keys;
+        addSequence({
+          keys: [leader].concat(combosFromText(custom.keys)),
+          count: "optional",
+          group: "Custom sequences",
+          display: title,
+          timeout: custom.timeout,
+          label: custom.label || parsed.commands.map(describeCommand).join(", "),
+          run: function (n) {
+            var commands = [];
+            for (var i = 0; i < Math.min(n || 1, MAX_REPEAT_COUNT); i++) {
+              commands = commands.concat(parsed.commands);
+            }
+            playCommands(title, commands);
+          },
+        });
+      });
+    }
+  }
+
+  // A node is live if its sequence applies now or any child is live
+  function isSequenceNodeActive(node) {
+    if (node.sequence && (!node.sequence.when || node.sequence.when())) return true;
+    for (var combo in node.children) {
+      if (isSequenceNodeActive(node.children[combo])) return true;
+    }
+    return false;
+  }
+
+  function activeSequenceChildren(node) {
+    return Object.keys(node.children).filter(function (combo) {
+      return isSequenceNodeActive(node.children[combo]);
+    });
+  }
+
+  function describePendingSequence() {
+    return pendingSequence.count + pendingSequence.keys.map(displayCombo).join("");
+  }
+
+  function clearSequence() {
+    pendingSequence = null;
+    if (sequenceTimer) {
+      clearTimeout(sequenceTimer);
+      sequenceTimer = null;
+    }
+    hideWhichKey();
+  }
+
+  // Cancelled without running: a selected register ("a) is dropped too
+  function cancelSequence() {
+    clearSequence();
+    activeRegister = null;
+  }
+
+  function runSequence(def, count) {
+    def.run(count === "" ? null : parseInt(count, 10));
+  }
+
+  function armSequence() {
+    if (sequenceTimer) clearTimeout(sequenceTimer);
+    sequenceTimer = setTimeout(function () {
+      var state = pendingSequence;
+      var def = state.node.sequence;
+      if (def && (!def.when || def.when())) {
+        clearSequence();
+        runSequence(def, state.count);
+      } else {
+        cancelSequence();
+      }
+    }, pendingSequence.node.timeout);
+    showWhichKey("sequence");
+  }
+
+  // Returns true when the key was used by the engine
+  function handleSequenceKey(event) {
+    var combo = sequenceCombo(event.key, event.shiftKey);
+    var state = pendingSequence;
+
+    if (state && combo === "escape") {
+      cancelSequence();
+      return true;
+    }
+
+    // Digits before any sequence key form the count
+    if (/^[0-9]$/.test(combo) && (!state || state.keys.length === 0)) {
+      pendingSequence = { count: (state ? state.count : "") + combo, keys: [], node: sequenceTries.counted };
+      armSequence();
+      return true;
+    }
+
+    var node = state ? state.node : sequenceTries.plain;
+    var next = node.children[combo];
+    if (next && !isSequenceNodeActive(next)) next = null;
+
+    if (!next) {
+      if (!state) return false;
+      var def = state.node.sequence;
+      if (def && (!def.when || def.when())) {
+        clearSequence();
+        // Ny then another key: run Ny, then handle the key as if nothing
+        // was pending (it may start a count or a sequence of its own)
+        runSequence(def, state.count);
+        return handleSequenceKey(event);
+      }
+      // A key no sequence continues with: drop the pending keys and let it
+      // do its own thing, so "yu" still toggles Distance
+      cancelSequence();
+      return handleSequenceKey(event);
+    }
+
+    var count = state ? state.count : "";
+    if (activeSequenceChildren(next).length === 0) {
+      clearSequence();
+      runSequence(next.sequence, count);
+      return true;
+    }
+    pendingSequence = { count: count, keys: (state ? state.keys : []).concat([combo]), node: next };
+    armSequence();
+    return true;
+  }
+
+  // Which-key menu for the pending node
+  function renderSequenceMenu() {
+    var state = pendingSequence;
+    var count = state.count === "" ? null : parseInt(state.count, 10);
+    var register = activeRegister ? '"' + (activeRegister.append ? activeRegister.name.toUpperCase() : activeRegister.name) : "";
+    var html = '<div style="color: #888; margin-bottom: 6px; font-size: 11px;">' +
+               escapeHtml(register + describePendingSequence()) + ' +</div>';
+    html += '<div>';
+    activeSequenceChildren(state.node).forEach(function (combo) {
+      var child = state.node.children[combo];
+      var def = child.sequence;
+      var label;
+      if (def && (!def.when || def.when())) {
+        label = def.hint ? def.hint(count) : def.label;
+      } else {
+        label = child.hint ? child.hint(count) : child.label || activeSequenceChildren(child).length + " more";
+      }
+      if (label === null) return;  // e.g. an unused preset slot
+      if (activeSequenceChildren(child).length > 0) label += " ▸";
+      html += renderWhichKeyOption(escapeHtml(displayCombo(combo)), escapeHtml(label), false);
+    });
+    var own = state.node.sequence;
+    if (own && (!own.when || own.when())) {
+      html += renderWhichKeyOption("…", escapeHtml((own.hint ? own.hint(count) : own.label) + " on timeout"), false);
+    }
+    html += '</div>';
+    return html;
+  }
+
+  // =========================================================================
+  // Command Palette
+  //
+  // ":" opens a fuzzy-searchable list of every action: toolbar tools, camera
+  // views, view options, yanks, unit switching, panels, registers and CAD
+  // tree nodes. Each entry shows its key binding and runs on Enter.
+  // =========================================================================
 
-  function getToast() {
-    if (!toastEl) {
-      toastEl = document.createElement("div");
-      toastEl.id = "ocp-keybind-toast";
-      Object.assign(toastEl.style, {
-        position: "fixed",
-        bottom: "24px",
-        left: "50%",
-        transform: "translateX(-50%)",
-        padding: "8px 18px",
-        borderRadius: "6px",
-        fontSize: "14px",
-        fontWeight: "600",
-        fontFamily: "system-ui, -apple-system, sans-serif",
-        color: "#fff",
-        zIndex: "999999",
-        pointerEvents: "none",
-        opacity: "0",
-        transition: "opacity 0.2s ease-in-out",
+  const PALETTE_MAX_RESULTS = 12;
+
+  var paletteEl = null;
+  var paletteInput = null;
+  var paletteList = null;
+  var paletteCommands = [];
+  var paletteResults = [];
+  var paletteSelected = 0;
+
+  function buildPaletteCommands() {
+    var commands = [];
+    var i;
+    var viewKey = keyLabelFor("viewPrefix");
+    var yankKey = keyLabelFor("yankPrefix");
+
+    function add(category, label, keys, run) {
+      commands.push({ category: category, label: label, keys: keys, run: run });
+    }
+
+    for (i = 0; i < KEYBINDINGS.length; i++) {
+      add("Tool", KEYBINDINGS[i].label, OcpKeymap.formatKey(KEYBINDINGS[i]),
+          runCommand.bind(null, { type: "tool", id: KEYBINDINGS[i].id }));
+    }
+    for (var num in VIEW_MAP) {
+      add("View", VIEW_MAP[num].label, num + "v", runCommand.bind(null, { type: "view", num: num }));
+    }
+    for (var vKey in V_PREFIX_MAP) {
+      add("View option", V_PREFIX_MAP[vKey].label, viewKey + OcpKeymap.formatKey(V_PREFIX_MAP[vKey]),
+          runCommand.bind(null, { type: "viewOption", id: V_PREFIX_MAP[vKey].id }));
+    }
+
+    add("Yank", "Yank primary value", yankKey + yankKey, runCommand.bind(null, { type: "yank", variant: "primary" }));
+    add("Yank", "Yank whole table", "0" + yankKey, runCommand.bind(null, rowYankCommand(0)));
+    add("Yank", "Yank camera state (JSON)", "", yankCamera);
+    var panel = getVisiblePanel();
+    var rows = panel ? getPanelRows(panel) : [];
+    for (i = 0; i < rows.length; i++) {
+      add("Yank", "Yank row " + (i + 1) + ": " + getRowLabel(rows[i]), (i + 1) + yankKey,
+          runCommand.bind(null, rowYankCommand(i + 1)));
+    }
+    for (var formatId in YANK_FORMATS) {
+      add("Yank format", YANK_FORMATS[formatId].label, yankKey + "f" + YANK_FORMATS[formatId].key,
+          (function (id) {
+            return function () {
+              setYankFormat(id);
+              showToast("Yank format: " + YANK_FORMATS[id].label, true);
+            };
+          })(formatId));
+    }
+    for (var regName in registers) {
+      add("Register", "Put register " + regName + " (" + registers[regName].label + ")",
+          '"' + regName + "p", putRegister.bind(null, regName));
+    }
+
+    add("Units", "Toggle mm / last unit", keyLabelFor("toggleUnit"), toggleUnit);
+    add("Units", "Cycle precision", keyLabelFor("cyclePrecision"), cyclePrecision);
+    UNITS.forEach(function (unit) {
+      add("Units", "Show " + unit.name, "", function () {
+        switchUnit(unit.id);
+        showToast("Units: " + unit.name, true);
       });
-      document.body.appendChild(toastEl);
+    });
+    add("Units", "Cycle angle unit", keyLabelFor("cycleAngleUnit"), cycleAngleUnit);
+    ANGLE_UNITS.forEach(function (angleUnit) {
+      add("Units", "Show angles in " + angleUnit.name, "", function () {
+        setAngleUnit(angleUnit.id);
+        showToast("Angles: " + angleUnit.name, true);
+      });
+    });
+
+    add("Command", "Repeat last command" + (lastCommand ? ": " + describeCommand(lastCommand) : ""),
+        keyLabelFor("repeat"), repeatLastCommand.bind(null, 1));
+
+    Object.keys(macros).sort().forEach(function (name) {
+      add("Macro", "Play macro @" + name, keyLabelFor("macroPlay") + name, playMacro.bind(null, name));
+    });
+
+    add("Measure", "Pin the current panel", keyLabelFor("pinMeasurement"), pinPanel.bind(null, null));
+    add("Measure", "Dismiss all pinned cards", keyLabelFor("dismissPins"), dismissAllPins);
+    add("Measure", "Calculator…", keyLabelFor("calculator"), openCalculator);
+    CHAIN_ACTIONS.forEach(function (a) {
+      add("Chain", a.label, keyLabelFor("chainPrefix") + a.key, runCommand.bind(null, { type: "chain", action: a.action }));
+    });
+    SCREENSHOT_ACTIONS.forEach(function (a) {
+      add("Screenshot", a.label, keyLabelFor("screenshotPrefix") + a.key,
+          runCommand.bind(null, { type: "screenshot", target: a.action }));
+    });
+    add("Screenshot", "Measurement caption on / off", keyLabelFor("screenshotPrefix") + "c", toggleScreenshotCaption);
+
+    add("Panel", "Measurement history", keyLabelFor("historyPanel"), toggleHistoryPanel);
+    add("Panel", "Yank registers", keyLabelFor("registersPanel"), toggleRegistersPanel);
+    add("Panel", "Macros", keyLabelFor("macrosPanel"), toggleMacrosPanel);
+    add("Panel", "Tolerance checks", keyLabelFor("checksPanel"), toggleChecksPanel);
+    add("Panel", "Keyboard cheat sheet", keyLabelFor("cheatSheet"), openCheatSheet);
+
+    add("Tree", "Tree navigation mode", keyLabelFor("treeMode"), toggleTreeMode);
+    add("Tree", "Find nodes by name…", keyLabelFor("treeQuery"), openTreeQuery);
+    add("Tree", "Save visibility preset…", keyLabelFor("presetPrefix") + "s", promptSavePreset);
+    getModelPresets().forEach(function (preset, idx) {
+      add("Tree", "Apply preset: " + preset.name, keyLabelFor("presetPrefix") + (idx + 1),
+          runCommand.bind(null, { type: "preset", num: idx + 1 }));
+    });
+    add("Tree", "Toggle all", "0h", runCommand.bind(null, { type: "hide", num: 0 }));
+    var nodes = getTreeNodes();
+    for (i = 0; i < nodes.length; i++) {
+      add("Tree", getTreeNodeLabel(nodes[i]), (i + 1) + "h", runCommand.bind(null, { type: "hide", num: i + 1 }));
     }
-    return toastEl;
+
+    return commands;
   }
 
-  function showToast(message, isActive) {
-    var el = getToast();
-    el.style.backgroundColor = isActive
-      ? "rgba(34, 139, 34, 0.9)"
-      : "rgba(80, 80, 80, 0.9)";
-    el.textContent = message;
-    el.style.opacity = "1";
+  // Subsequence match; higher is better, -1 if not all query chars appear.
+  // Consecutive characters and word starts score extra.
+  function fuzzyScore(query, text) {
+    if (query === "") return 0;
+    var q = query.toLowerCase();
+    var t = text.toLowerCase();
+    var score = 0;
+    var ti = 0;
+    var prev = -2;
+    for (var qi = 0; qi < q.length; qi++) {
+      var ch = q[qi];
+      if (ch === " ") continue;
+      var found = t.indexOf(ch, ti);
+      if (found === -1) return -1;
+      score += 1;
+      if (found === prev + 1) score += 3;
+      if (found === 0 || /[\s:_\-/(]/.test(t[found - 1])) score += 2;
+      prev = found;
+      ti = found + 1;
+    }
+    // Prefer shorter labels when scores tie
+    return score - t.length * 0.01;
+  }
 
-    if (toastTimer) clearTimeout(toastTimer);
-    toastTimer = setTimeout(function () {
-      el.style.opacity = "0";
-    }, TOAST_DURATION_MS);
+  function filterPaletteCommands(query) {
+    var scored = [];
+    for (var i = 0; i < paletteCommands.length; i++) {
+      var cmd = paletteCommands[i];
+      var score = Math.max(
+        fuzzyScore(query, cmd.label),
+        fuzzyScore(query, cmd.category + " " + cmd.label)
+      );
+      if (score >= 0) scored.push({ cmd: cmd, score: score });
+    }
+    scored.sort(function (a, b) { return b.score - a.score; });
+    return scored.slice(0, PALETTE_MAX_RESULTS).map(function (s) { return s.cmd; });
+  }
+
+  function createCommandPalette() {
+    if (paletteEl) return paletteEl;
+
+    paletteEl = document.createElement("div");
+    paletteEl.id = "ocp-command-palette";
+    Object.assign(paletteEl.style, {
+      position: "fixed",
+      top: "15%",
+      left: "50%",
+      transform: "translateX(-50%)",
+      width: "440px",
+      display: "none",
+      padding: "8px",
+      borderRadius: "8px",
+      fontSize: "13px",
+      fontFamily: "system-ui, -apple-system, sans-serif",
+      color: "#e0e0e0",
+      backgroundColor: "rgba(30, 30, 30, 0.97)",
+      border: "1px solid #555",
+      zIndex: "1000000",
+      boxShadow: "0 8px 24px rgba(0, 0, 0, 0.5)",
+    });
+
+    paletteInput = document.createElement("input");
+    paletteInput.placeholder = "Type a command…";
+    Object.assign(paletteInput.style, {
+      width: "100%",
+      boxSizing: "border-box",
+      padding: "6px 8px",
+      fontSize: "14px",
+      color: "#fff",
+      background: "#222",
+      border: "1px solid #666",
+      borderRadius: "4px",
+      outline: "none",
+    });
+    paletteInput.addEventListener("input", function () {
+      paletteSelected = 0;
+      renderPaletteResults();
+    });
+    paletteInput.addEventListener("keydown", handlePaletteKeyDown);
+    paletteInput.addEventListener("blur", closeCommandPalette);
+    paletteEl.appendChild(paletteInput);
+
+    paletteList = document.createElement("div");
+    paletteList.style.marginTop = "6px";
+    paletteEl.appendChild(paletteList);
+
+    document.body.appendChild(paletteEl);
+    return paletteEl;
+  }
+
+  function renderPaletteResults() {
+    paletteResults = filterPaletteCommands(paletteInput.value.trim());
+    paletteList.innerHTML = "";
+
+    if (paletteResults.length === 0) {
+      var empty = document.createElement("div");
+      empty.textContent = "No matching commands";
+      Object.assign(empty.style, { color: "#666", padding: "4px 6px" });
+      paletteList.appendChild(empty);
+      return;
+    }
+
+    for (var i = 0; i < paletteResults.length; i++) {
+      (function (index) {
+        var cmd = paletteResults[index];
+        var item = document.createElement("div");
+        Object.assign(item.style, {
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          padding: "4px 6px",
+          borderRadius: "4px",
+          cursor: "pointer",
+          background: index === paletteSelected ? "#228b22" : "transparent",
+        });
+
+        var category = document.createElement("span");
+        category.textContent = cmd.category;
+        Object.assign(category.style, { color: index === paletteSelected ? "#cfc" : "#888", fontSize: "11px", minWidth: "76px" });
+        item.appendChild(category);
+
+        var label = document.createElement("span");
+        label.textContent = cmd.label;
+        label.style.flex = "1";
+        item.appendChild(label);
+
+        var keys = document.createElement("span");
+        keys.textContent = cmd.keys;
+        Object.assign(keys.style, {
+          fontFamily: "monospace",
+          fontSize: "11px",
+          padding: "1px 5px",
+          background: "#444",
+          borderRadius: "3px",
+          color: "#fff",
+        });
+        item.appendChild(keys);
+
+        // mousedown fires before the input's blur closes the palette
+        item.addEventListener("mousedown", function (e) {
+          e.preventDefault();
+          paletteSelected = index;
+          runSelectedPaletteCommand();
+        });
+        paletteList.appendChild(item);
+      })(i);
+    }
+  }
+
+  function handlePaletteKeyDown(e) {
+    e.stopPropagation();
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeCommandPalette();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      runSelectedPaletteCommand();
+    } else if (e.key === "ArrowDown" || (e.ctrlKey && e.key === "n")) {
+      e.preventDefault();
+      paletteSelected = Math.min(paletteSelected + 1, paletteResults.length - 1);
+      renderPaletteResults();
+    } else if (e.key === "ArrowUp" || (e.ctrlKey && e.key === "p")) {
+      e.preventDefault();
+      paletteSelected = Math.max(paletteSelected - 1, 0);
+      renderPaletteResults();
+    }
+  }
+
+  function runSelectedPaletteCommand() {
+    var cmd = paletteResults[paletteSelected];
+    closeCommandPalette();
+    if (cmd) cmd.run();
+  }
+
+  function openCommandPalette() {
+    createCommandPalette();
+    paletteCommands = buildPaletteCommands();
+    paletteSelected = 0;
+    paletteInput.value = "";
+    paletteEl.style.display = "block";
+    renderPaletteResults();
+    paletteInput.focus();
+  }
+
+  function closeCommandPalette() {
+    if (!paletteEl || paletteEl.style.display === "none") return;
+    paletteEl.style.display = "none";
+    paletteInput.blur();
   }
 
   // =========================================================================
-  // Button helpers
+  // Cheat Sheet
+  //
+  // "?" opens a full-screen list of every binding. It is built on each open
+  // from the same tables the key handler dispatches on (KEY_MAP, VIEW_MAP,
+  // the sequence engine's definitions, TREE_CURSOR_KEYS, TREE_QUERY_ACTIONS),
+  // so it always shows the current keymap. "?", Escape or a click outside the
+  // sheet closes it.
   // =========================================================================
 
-  function findButton(selector) {
-    return document.querySelector(selector);
+  var cheatSheetEl = null;
+
+  // Returns [{ title, rows: [[keys, label], ...] }, ...]
+  function buildCheatSheet() {
+    var sections = [];
+
+    function section(title, rows) {
+      if (rows.length > 0) sections.push({ title: title, rows: rows });
+    }
+
+    OcpKeymap.GROUPS.forEach(function (group) {
+      if (OcpKeymap.DIRECT_GROUPS.indexOf(group.id) === -1) return;
+      var rows = [];
+      OcpKeymap.DEFAULTS.forEach(function (action) {
+        if (action.group !== group.id) return;
+        var binding = findBindingById(KEY_MAP, action.id);
+        if (binding) rows.push([OcpKeymap.formatKey(binding), binding.label]);
+      });
+      section(group.label, rows);
+    });
+
+    var viewKey = findNumberSuffix("view").keys[0];
+    section(OcpKeymap.GROUPS.filter(function (g) { return g.id === "views"; })[0].label,
+      Object.keys(VIEW_MAP).sort(function (a, b) { return a - b; }).map(function (num) {
+        return [num + viewKey, VIEW_MAP[num].label];
+      }));
+
+    // View options, number prefix, yank and presets come from the sequence
+    // engine, one row per distinct display
+    function sequenceRows(group) {
+      var seen = {};
+      var rows = [];
+      sequenceDefs.forEach(function (def) {
+        if (def.group !== group || seen[def.display]) return;
+        seen[def.display] = true;
+        rows.push([def.display, def.label]);
+      });
+      return rows;
+    }
+
+    var viewOptionsGroup = OcpKeymap.GROUPS.filter(function (g) { return g.id === "viewOptions"; })[0].label;
+    section(viewOptionsGroup, sequenceRows(viewOptionsGroup));
+    section("Number prefix", sequenceRows("Number prefix"));
+    section("Yank", sequenceRows("Yank"));
+    section("Distance chain", sequenceRows("Distance chain"));
+    section("Screenshots", sequenceRows("Screenshots"));
+
+    var reg = keyLabelFor("registerPrefix");
+    section("Registers", [
+      [reg + "a + yank", "Yank into register a (a–z)"],
+      [reg + "A + yank", "Append to register a"],
+      [reg + "ap", "Put register a onto the clipboard"],
+    ]);
+
+    var record = keyLabelFor("macroRecord");
+    var play = keyLabelFor("macroPlay");
+    section("Macros", [
+      [record + "a", "Record macro a (uppercase appends)"],
+      [record, "Stop recording"],
+      [play + "a", "Play macro a"],
+      [play + "@", "Play the last played macro"],
+      ["Esc", "Stop a playing macro"],
+    ]);
+
+    section("Visibility presets", sequenceRows("Visibility presets"));
+
+    section("Tree mode (" + keyLabelFor("treeMode") + ")", TREE_CURSOR_KEYS.map(function (k) {
+      return [k.display, k.label];
+    }));
+
+    var query = keyLabelFor("treeQuery");
+    section("Find nodes (" + query + "pattern, Enter, then)", TREE_QUERY_ACTIONS.map(function (a) {
+      return [a.key, a.label];
+    }));
+
+    section("Custom sequences", sequenceRows("Custom sequences"));
+
+    return sections;
   }
 
-  function isButtonActive(button) {
-    var frame = button.closest(FRAME_SELECTOR);
-    return frame ? frame.classList.contains(ACTIVE_CLASS) : false;
+  function renderCheatSheet() {
+    var html = '<div style="color: #888; margin-bottom: 10px; font-size: 11px;">Keyboard shortcuts — ' +
+               escapeHtml(keyLabelFor("cheatSheet")) + ' or Esc closes</div>';
+    html += '<div style="columns: 3 240px; column-gap: 24px;">';
+    buildCheatSheet().forEach(function (sec) {
+      html += '<div style="break-inside: avoid; margin-bottom: 12px;">';
+      html += '<div style="color: #fff; font-weight: 600; margin-bottom: 4px;">' + escapeHtml(sec.title) + '</div>';
+      sec.rows.forEach(function (row) {
+        html += renderWhichKeyOption(escapeHtml(row[0]), escapeHtml(row[1]), false);
+      });
+      html += '</div>';
+    });
+    html += '</div>';
+    return html;
+  }
+
+  function openCheatSheet() {
+    if (!cheatSheetEl) {
+      cheatSheetEl = document.createElement("div");
+      cheatSheetEl.id = "ocp-cheatsheet";
+      Object.assign(cheatSheetEl.style, {
+        position: "fixed",
+        top: "0",
+        left: "0",
+        right: "0",
+        bottom: "0",
+        display: "none",
+        alignItems: "center",
+        justifyContent: "center",
+        backgroundColor: "rgba(0, 0, 0, 0.6)",
+        zIndex: "1000000",
+      });
+
+      var sheet = document.createElement("div");
+      Object.assign(sheet.style, {
+        width: "90vw",
+        maxWidth: "1100px",
+        maxHeight: "90vh",
+        overflowY: "auto",
+        padding: "16px 20px",
+        borderRadius: "8px",
+        fontSize: "12px",
+        fontFamily: "system-ui, -apple-system, sans-serif",
+        color: "#e0e0e0",
+        backgroundColor: "rgba(30, 30, 30, 0.97)",
+        border: "1px solid #444",
+        boxShadow: "0 4px 24px rgba(0, 0, 0, 0.5)",
+      });
+      cheatSheetEl.appendChild(sheet);
+
+      cheatSheetEl.addEventListener("click", function (e) {
+        if (e.target === cheatSheetEl) closeCheatSheet();
+      });
+      document.body.appendChild(cheatSheetEl);
+    }
+    cheatSheetEl.firstChild.innerHTML = renderCheatSheet();
+    cheatSheetEl.style.display = "flex";
+  }
+
+  function closeCheatSheet() {
+    if (cheatSheetEl) cheatSheetEl.style.display = "none";
+  }
+
+  function isCheatSheetOpen() {
+    return !!cheatSheetEl && cheatSheetEl.style.display !== "none";
+  }
+
+  function toggleCheatSheet() {
+    if (isCheatSheetOpen()) closeCheatSheet();
+    else openCheatSheet();
   }
 
   // =========================================================================
   // Keydown handler
   // =========================================================================
 
+  const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta", "CapsLock"];
+
   function handleKeyDown(event) {
     // Skip when typing in form controls
     var tag = event.target.tagName.toLowerCase();
@@ -1155,262 +5688,284 @@
       return;
     }
 
+    // A modifier pressed on its own fires a keydown of its own; it only
+    // changes the next key ("A appends), so it must not end a pending one
+    if (MODIFIER_KEYS.indexOf(event.key) !== -1) {
+      return;
+    }
+
     var pressed = event.key.toLowerCase();
     var now = Date.now();
 
-    // --- v-prefix sequences (vt, ve, vg, vx, vy, vz, va, vo) ---
-    if (vPrefixActive) {
-      vPrefixActive = false;
-      hideWhichKey();
+    // --- Escape closes the cheat sheet ---
+    if (pressed === "escape" && isCheatSheetOpen()) {
+      closeCheatSheet();
+      return;
+    }
 
-      if ((now - vPrefixTime) >= NUM_PREFIX_TIMEOUT_MS) {
-        // Timed out, fall through
-      } else {
-        var vBinding = V_PREFIX_MAP[pressed];
-        if (vBinding) {
-          if (vBinding.checkbox) {
-            // Grid plane checkbox — toggle it
-            var cb = document.querySelector(vBinding.checkbox);
-            if (cb) {
-              cb.click();
-              showToast(vBinding.label + (cb.checked ? " ON" : " OFF"), cb.checked);
-            } else {
-              showToast(vBinding.label + " — not found", false);
-            }
-          } else {
-            var btn = findButton(vBinding.selector);
-            if (btn) {
-              btn.click();
-              var active = isButtonActive(btn);
-              showToast(vBinding.label + (active ? " ON" : " OFF"), active);
-            } else {
-              showToast(vBinding.label + " — not found", false);
-            }
-          }
-          return;
-        }
-        showToast("Unknown view command: v" + pressed, false);
+    // --- Tree query actions: h / s / i after /pattern ---
+    // Before the tree cursor keys, whose h would otherwise collapse a node.
+    // Any other key drops the query and is handled normally.
+    if (treeQuery) {
+      if ((now - treeQueryTime) >= TREE_QUERY_TIMEOUT_MS) {
+        treeQuery = null;
+        hideWhichKey();
+      } else if (handleTreeQueryKey(pressed)) {
         return;
       }
     }
 
-    // --- Number-prefix sequences (Nv = view, Nh = hide, Ny = yank, N{x|y|z}y = yank axis) ---
-    if (numPrefix !== "") {
-      if ((now - numPrefixTime) >= NUM_PREFIX_TIMEOUT_MS) {
-        // Timed out — if axis was 'y', treat as row yank before resetting
-        if (numAxis === "y") {
-          var num = parseInt(numPrefix, 10);
-          numPrefix = "";
-          numAxis = "";
-          hideWhichKey();
-          if (num === 0) {
-            yankWholeTable();
-          } else {
-            yankRowN(num);
-          }
-          return;
-        }
-        numPrefix = "";
-        numAxis = "";
-        hideWhichKey();
-      } else {
-        // If we already have an axis buffered, only 'y' completes it
-        if (numAxis !== "") {
-          if (pressed === "y") {
-            var num = parseInt(numPrefix, 10);
-            var axis = numAxis;
-            numPrefix = "";
-            numAxis = "";
-            hideWhichKey();
-            yankRowAxis(num, axis);
-            return;
-          }
-          // Not 'y' — if axis was 'y' (ambiguous Ny), treat as row yank
-          // and reprocess current key
-          if (numAxis === "y") {
-            var num = parseInt(numPrefix, 10);
-            numPrefix = "";
-            numAxis = "";
-            hideWhichKey();
-            if (num === 0) {
-              yankWholeTable();
-            } else {
-              yankRowN(num);
-            }
-            // Don't return — let the current key fall through to be processed
-          } else {
-            // Invalid axis sequence (e.g. 2xh), reset
-            numPrefix = "";
-            numAxis = "";
-            hideWhichKey();
-            showToast("Invalid yank sequence", false);
-            return;
-          }
-        }
-
-        if (pressed === "v") {
-          // Camera view: Nv
-          var num = numPrefix;
-          numPrefix = "";
-          hideWhichKey();
-          var view = VIEW_MAP[num];
-          if (view) {
-            var btn = findButton(view.selector);
-            if (btn) {
-              btn.click();
-              showToast(view.label, true);
-            } else {
-              showToast(view.label + " — not found", false);
-            }
-          } else {
-            showToast("No view for " + num, false);
-          }
-          return;
-        }
-        if (pressed === "h") {
-          // Hide/show tree node: Nh
-          var num = parseInt(numPrefix, 10);
-          numPrefix = "";
-          hideWhichKey();
-          handleHideByNumber(num);
-          return;
-        }
-        // Axis letter (x, y, z) — buffer it, wait for 'y' to confirm
-        if (pressed === "x" || pressed === "y" || pressed === "z") {
-          numAxis = pressed;
-          numPrefixTime = now;
-          showWhichKey("numaxis");
-          return;
-        }
-        // Additional digit — append (for nodes > 9)
-        if (pressed >= "0" && pressed <= "9") {
-          numPrefix += pressed;
-          numPrefixTime = now;
-          showWhichKey("numprefix");
-          return;
-        }
-        // Invalid follow-up, reset
-        numPrefix = "";
-        hideWhichKey();
-        // Fall through to process this key normally
-      }
+    // --- Tree cursor keys (only with no other sequence pending) ---
+    if (treeModeActive && !registerPending && !activeRegister && !pendingSequence && !macroPending &&
+        handleTreeModeKey(event)) {
+      return;
     }
 
-    // --- Yank: yy = yank primary (first row) ---
-    if (yankSequence.length > 0) {
-      if ((now - lastKeyTime) >= YANK_SEQUENCE_TIMEOUT_MS) {
-        yankSequence = [];
-        hideWhichKey();
+    // --- Register name after " (lowercase = replace, uppercase = append) ---
+    if (registerPending) {
+      registerPending = false;
+      hideWhichKey();
+      if (/^[a-zA-Z]$/.test(event.key)) {
+        activeRegister = { name: pressed, append: event.key !== pressed };
+        showWhichKey("register");
       } else {
-        if (pressed === "y") {
-          yankSequence = [];
-          hideWhichKey();
-          yankPrimary();
-          return;
-        }
-        // Invalid after 'y' (not another 'y'), reset
-        yankSequence = [];
-        hideWhichKey();
-        // Fall through to process this key normally
+        showToast("Invalid register: " + event.key, false);
       }
+      return;
+    }
+
+    // --- Macro name after q / @ ---
+    if (macroPending) {
+      handleMacroKey(event);
+      return;
+    }
+
+    // --- Escape stops a running macro ---
+    if (macroPlayback && pressed === "escape") {
+      stopMacroPlayback();
+      return;
     }
 
-    // Start yank sequence with 'y' (only when no number prefix active)
-    if (pressed === "y" && !event.shiftKey) {
-      yankSequence = ["y"];
-      lastKeyTime = now;
-      showWhichKey();
+    // --- "ap puts register a onto the clipboard ---
+    if (activeRegister && pressed === "p" && !event.shiftKey && !pendingSequence) {
+      var putName = activeRegister.name;
+      activeRegister = null;
+      hideWhichKey();
+      putRegister(putName);
       return;
     }
 
-    // Start v-prefix sequence
-    if (pressed === "v" && !event.shiftKey) {
-      vPrefixActive = true;
-      vPrefixTime = now;
-      showWhichKey("view");
+    // --- Multi-key sequences and counts (Nv, Ny, yy, v<key>, p<N>, <leader>...) ---
+    if (handleSequenceKey(event)) {
       return;
     }
 
-    // Start number-prefix sequence
-    if (pressed >= "0" && pressed <= "9" && !event.shiftKey) {
-      numPrefix = pressed;
-      numPrefixTime = now;
-      showWhichKey("numprefix");
+    var mapKey = (event.shiftKey && /^[a-z]$/.test(pressed) ? "shift+" : "") + pressed;
+    var binding = KEY_MAP[mapKey];
+    if (!binding) return;
+
+    // Select a register for the next yank or put ("a, "A)
+    if (binding.id === "registerPrefix") {
+      registerPending = true;
+      showWhichKey("registerselect");
       return;
     }
 
-    // --- Unit conversion shortcuts ---
-    if (pressed === "i" && !event.shiftKey) {
-      switchUnit(currentUnit === "mm" ? "inch" : "mm");
-      showToast("Units: " + (currentUnit === "mm" ? "mm" : "inches"), true);
+    // --- Extension panels and unit conversion ---
+    if (ACTION_COMMANDS[binding.id]) {
+      runCommand({ type: "action", id: binding.id });
       return;
     }
 
-    if (pressed === "i" && event.shiftKey) {
-      if (currentUnit === "inch") {
-        var idx = PRECISIONS.indexOf(currentPrecision);
-        currentPrecision = PRECISIONS[(idx + 1) % PRECISIONS.length];
-        updateToolbar();
-        convertAllCells();
-        showToast('Precision: 1/' + currentPrecision + '"', true);
+    // --- Macros ---
+    if (binding.id === "macroRecord") {
+      if (macroRecording) {
+        stopMacroRecording();
       } else {
-        showToast("Switch to inches first (press I)", false);
+        macroPending = "record";
+        showWhichKey("macrorecord");
       }
       return;
     }
 
-    // --- Toolbar button shortcuts ---
-    var mapKey = (event.shiftKey ? "shift+" : "") + pressed;
-    var binding = KEY_MAP[mapKey];
-    if (!binding) return;
+    if (binding.id === "macroPlay") {
+      macroPending = "play";
+      showWhichKey("macroplay");
+      return;
+    }
 
-    var button = findButton(binding.selector);
-    if (!button) {
-      showToast(binding.label + " — toolbar not ready", false);
+    if (binding.id === "repeat") {
+      repeatLastCommand(1);
       return;
     }
 
-    button.click();
+    if (binding.id === "treeMode") {
+      toggleTreeMode();
+      return;
+    }
 
-    var wasToggled = isButtonActive(button);
-    showToast(binding.label + (wasToggled ? " ON" : " OFF"), wasToggled);
+    if (binding.id === "treeQuery") {
+      event.preventDefault(); // keep "/" out of the prompt input
+      openTreeQuery();
+      return;
+    }
+
+    if (binding.id === "calculator") {
+      event.preventDefault(); // keep "=" out of the prompt input
+      openCalculator();
+      return;
+    }
+
+    if (binding.id === "commandPalette") {
+      event.preventDefault(); // keep ":" out of the palette input
+      openCommandPalette();
+      return;
+    }
+
+    if (binding.id === "cheatSheet") {
+      toggleCheatSheet();
+      return;
+    }
+
+    // --- Toolbar button shortcuts ---
+    runCommand({ type: "tool", id: binding.id });
   }
 
   // =========================================================================
-  // Initialization — wait for toolbar then attach listener
+  // Popup Messaging
+  //
+  // The extension popup and the browser shortcuts in background.js talk to
+  // this script through chrome.runtime messages ({ type, ... }), so they can
+  // show live state and act as a remote without focusing the page:
+  //   status   -> viewer status (see getViewerStatus)
+  //   command  -> runs message.command through runCommand(), returns status
+  //   setUnit  -> switches to message.unit, returns status
+  //   yank     -> runs message.command (a yank) and returns { text } or
+  //               { error }; the sender writes the clipboard itself
+  //   toast    -> shows message.message, e.g. the result of such a yank
   // =========================================================================
 
-  function init() {
-    var attempts = 0;
-    var firstSelector = KEYBINDINGS[0] ? KEYBINDINGS[0].selector : null;
+  var toolbarState = "waiting";  // "waiting", "found" or "timeout" (see waitForToolbar)
+
+  function getViewerStatus() {
+    var panel = getVisiblePanel();
+    return {
+      toolbar: toolbarState,
+      unit: currentUnit,
+      precision: describePrecision(),
+      angleUnit: currentAngleUnit,
+      units: UNITS.map(function (u) { return { id: u.id, label: u.label }; }),
+      tools: KEYBINDINGS.map(function (b) {
+        var button = findButton(b.selector);
+        return {
+          id: b.id,
+          label: b.label,
+          key: OcpKeymap.formatKey(b),
+          present: !!button,
+          active: !!button && isButtonActive(button),
+        };
+      }),
+      views: Object.keys(VIEW_MAP).sort(function (a, b) { return a - b; }).map(function (num) {
+        return { num: num, label: VIEW_MAP[num].label };
+      }),
+      nodes: getAllTreeNodes().length,
+      panel: panel ? (panel.matches(DISTANCE_PANEL_SELECTOR) ? "distance" : "properties") : null,
+    };
+  }
 
-    function poll() {
-      attempts++;
-      if (firstSelector && document.querySelector(firstSelector)) {
-        attach();
+  function handleRuntimeMessage(message, sender, sendResponse) {
+    if (!message || typeof message.type !== "string") return;
+
+    switch (message.type) {
+      case "status":
+        sendResponse(getViewerStatus());
         return;
-      }
-      if (attempts >= MAX_POLL_ATTEMPTS) {
-        attach();
+      case "command":
+        runCommand(message.command);
+        sendResponse(getViewerStatus());
+        return;
+      case "setUnit":
+        switchUnit(message.unit);
+        showToast("Units: " + findUnit(currentUnit).name, true);
+        sendResponse(getViewerStatus());
+        return;
+      case "yank":
+        yankReceiver = sendResponse;
+        runCommand(message.command);
+        if (yankReceiver === sendResponse) {
+          // The command did not yank anything
+          yankReceiver = null;
+          sendResponse({ error: "Nothing was yanked" });
+        }
+        return;
+      case "toast":
+        showToast(message.message, !!message.active);
+        sendResponse({ ok: true });
         return;
-      }
-      setTimeout(poll, POLL_INTERVAL_MS);
     }
+  }
 
+  // =========================================================================
+  // Initialization — wait for toolbar then attach listener
+  // =========================================================================
+
+  function init() {
     function attach() {
       document.addEventListener("keydown", handleKeyDown);
+      window.addEventListener("message", handleBridgeMessage);
       createToolbar();
-      startCopyBtnPoll();
+      startChangeObservers();
       console.log(
         "[OCP Keybindings] Ready. Keys: " +
           KEYBINDINGS.map(function (b) {
             return (b.shift ? "Shift+" : "") + b.key.toUpperCase() + "=" + b.label;
           }).join(", ") +
-          ", Nv=View, Nh=Hide/Show, v+=View options, y+=Yank, I=mm/inch"
+          ", Nv=View, Nh=Hide/Show, " + keyLabelFor("viewPrefix") + "+=View options, " +
+          keyLabelFor("yankPrefix") + "+=Yank, " + keyLabelFor("toggleUnit") + "=Toggle unit"
       );
     }
 
-    poll();
+    OcpKeymap.load(function (actions) {
+      applyKeymap(actions);
+      loadYankFormat();
+      loadScreenshotCaption();
+      loadRegisters();
+      loadPresets();
+      loadMacros();
+      loadChecks();
+      OcpKeymap.loadSequences(function (list) {
+        customSequences = list;
+        buildSequences();
+      });
+      loadUnitSettings(function () {
+        waitForToolbar(function (found) {
+          toolbarState = found ? "found" : "timeout";
+          attach();
+        });
+      });
+    });
+
+    chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+
+    // Pick up keymap edits from the options page and unit changes made in
+    // other viewer tabs without a reload
+    chrome.storage.onChanged.addListener(function (changes, area) {
+      if (area !== "sync") return;
+      if (changes[OcpKeymap.STORAGE_KEY]) {
+        applyKeymap(OcpKeymap.merge(changes[OcpKeymap.STORAGE_KEY].newValue));
+      }
+      if (changes[OcpKeymap.SEQUENCES_STORAGE_KEY]) {
+        customSequences = changes[OcpKeymap.SEQUENCES_STORAGE_KEY].newValue || [];
+        buildSequences();
+      }
+      handleUnitSettingsChange(changes);
+      if (changes[YANK_FORMAT_STORAGE_KEY] && YANK_FORMATS[changes[YANK_FORMAT_STORAGE_KEY].newValue]) {
+        currentYankFormat = changes[YANK_FORMAT_STORAGE_KEY].newValue;
+      }
+      if (changes[SCREENSHOT_CAPTION_STORAGE_KEY]) {
+        screenshotCaption = changes[SCREENSHOT_CAPTION_STORAGE_KEY].newValue !== false;
+      }
+    });
   }
 
   init();
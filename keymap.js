@@ -0,0 +1,329 @@
+// Shared keymap definition for the content script and the options page.
+//
+// The defaults below are the built-in bindings. User changes are stored in
+// chrome.storage.sync as a sparse map of overrides keyed by action id:
+//   { "distance": { key: "d", shift: false, disabled: false }, ... }
+// so that new default actions show up automatically after an update.
+(function (global) {
+  "use strict";
+
+  // =========================================================================
+  // Default keymap
+  //
+  // Groups:
+  //   tools       – direct keys that click a toolbar button
+  //   prefixes    – direct keys that start a multi-key sequence
+  //   units       – direct keys for unit conversion
+  //   panels      – direct keys that toggle the extension's own panels
+  //   commands    – direct keys that work on other commands (repeat, ...)
+  //   tree        – direct keys that work on the CAD tree
+  //   views       – camera views, pressed as <number>v (key is the number)
+  //   viewOptions – view toggles, pressed as v<key>
+  //
+  // The toolbar buttons in three-cad-viewer follow the pattern:
+  //   <span class="tcv_button_frame">
+  //     <input class="tcv_reset tcv_btn tcv_button_<NAME>" type="button">
+  //   </span>
+  //
+  // When active, the frame span gets the class "tcv_btn_click2".
+  // =========================================================================
+
+  var DEFAULT_KEYMAP = [
+    // Measurement tools
+    { id: "distance",    group: "tools", key: "u", shift: false, selector: "input.tcv_button_distance",   label: "Distance Measurement" },
+    { id: "properties",  group: "tools", key: "u", shift: true,  selector: "input.tcv_button_properties", label: "Properties" },
+
+    // Sequence prefixes
+    { id: "viewPrefix",  group: "prefixes", key: "v", shift: false, label: "View options prefix" },
+    { id: "yankPrefix",  group: "prefixes", key: "y", shift: false, label: "Yank prefix" },
+    { id: "registerPrefix", group: "prefixes", key: "\"", shift: true, label: "Yank register prefix" },
+    { id: "presetPrefix", group: "prefixes", key: "p", shift: false, label: "Visibility preset prefix" },
+    { id: "chainPrefix", group: "prefixes", key: "c", shift: false, label: "Distance chain prefix" },
+    { id: "screenshotPrefix", group: "prefixes", key: "s", shift: false, label: "Screenshot prefix" },
+    { id: "leader", group: "prefixes", key: ",", shift: false, label: "Leader key for custom sequences" },
+
+    // Unit conversion
+    { id: "toggleUnit",     group: "units", key: "i", shift: false, label: "Toggle mm / last unit" },
+    { id: "cyclePrecision", group: "units", key: "i", shift: true,  label: "Cycle precision" },
+    { id: "cycleAngleUnit", group: "units", key: "a", shift: true,  label: "Cycle angle unit (deg / rad / DMS)" },
+
+    // Extension panels
+    { id: "historyPanel", group: "panels", key: "h", shift: true, label: "Measurement history" },
+    { id: "registersPanel", group: "panels", key: "r", shift: true, label: "Yank registers" },
+    { id: "commandPalette", group: "panels", key: ":", shift: true, label: "Command palette" },
+    { id: "cheatSheet", group: "panels", key: "?", shift: true, label: "Keyboard cheat sheet" },
+    { id: "macrosPanel", group: "panels", key: "q", shift: true, label: "Macros" },
+    { id: "checksPanel", group: "panels", key: "c", shift: true, label: "Tolerance checks" },
+
+    // Measurements
+    { id: "pinMeasurement", group: "measure", key: "m", shift: false, label: "Pin the current panel as a card" },
+    { id: "dismissPins", group: "measure", key: "m", shift: true, label: "Dismiss all pinned cards" },
+    { id: "calculator", group: "measure", key: "=", shift: false, label: "Calculator (r2.z - r1.z, dist / 2, ...)" },
+
+    // Commands
+    { id: "repeat", group: "commands", key: ".", shift: false, label: "Repeat last command (N. repeats N times)" },
+    { id: "macroRecord", group: "commands", key: "q", shift: false, label: "Record macro (q<name>, q stops)" },
+    { id: "macroPlay", group: "commands", key: "@", shift: true, label: "Play macro (@<name>, @@ repeats)" },
+
+    // CAD tree
+    { id: "treeMode", group: "tree", key: "t", shift: false, label: "Tree navigation mode" },
+    { id: "treeQuery", group: "tree", key: "/", shift: false, label: "Find nodes by name" },
+
+    // Camera views: number + v
+    { id: "iso",    group: "views", key: "0", selector: "input.tcv_button_iso",    label: "Iso View" },
+    { id: "front",  group: "views", key: "1", selector: "input.tcv_button_front",  label: "Front View" },
+    { id: "rear",   group: "views", key: "2", selector: "input.tcv_button_rear",   label: "Back View" },
+    { id: "top",    group: "views", key: "3", selector: "input.tcv_button_top",    label: "Top View" },
+    { id: "bottom", group: "views", key: "4", selector: "input.tcv_button_bottom", label: "Bottom View" },
+    { id: "left",   group: "views", key: "5", selector: "input.tcv_button_left",   label: "Left View" },
+    { id: "right",  group: "views", key: "6", selector: "input.tcv_button_right",  label: "Right View" },
+
+    // v-prefix view options
+    { id: "transparent", group: "viewOptions", key: "t", shift: false, selector: "input.tcv_button_transparent", label: "Transparent" },
+    { id: "blackEdges",  group: "viewOptions", key: "e", shift: false, selector: "input.tcv_button_blackedges",  label: "Black Edges" },
+    { id: "grid",        group: "viewOptions", key: "g", shift: false, selector: "input.tcv_button_grid",        label: "Grid" },
+    { id: "axes",        group: "viewOptions", key: "a", shift: false, selector: "input.tcv_button_axes",        label: "Axes" },
+    { id: "axes0",       group: "viewOptions", key: "o", shift: false, selector: "input.tcv_button_axes0",       label: "Origin Axes" },
+    { id: "perspective", group: "viewOptions", key: "p", shift: false, selector: "input.tcv_button_perspective", label: "Perspective" },
+    { id: "gridXY",      group: "viewOptions", key: "x", shift: false, checkbox: "input.tcv_grid-xy", label: "Grid XY" },
+    { id: "gridXZ",      group: "viewOptions", key: "y", shift: false, checkbox: "input.tcv_grid-xz", label: "Grid XZ" },
+    { id: "gridYZ",      group: "viewOptions", key: "z", shift: false, checkbox: "input.tcv_grid-yz", label: "Grid YZ" },
+  ];
+
+  var GROUPS = [
+    { id: "tools",       label: "Tools" },
+    { id: "prefixes",    label: "Sequence prefixes" },
+    { id: "units",       label: "Unit conversion" },
+    { id: "panels",      label: "Panels" },
+    { id: "measure",     label: "Measurements" },
+    { id: "commands",    label: "Commands" },
+    { id: "tree",        label: "CAD tree" },
+    { id: "views",       label: "Camera views (number + v)" },
+    { id: "viewOptions", label: "View options (v + key)" },
+  ];
+
+  // Groups that share the "direct key" namespace (pressed without a prefix)
+  var DIRECT_GROUPS = ["tools", "prefixes", "units", "panels", "measure", "commands", "tree"];
+
+  // =========================================================================
+  // Number prefix suffixes
+  //
+  // Keys pressed after a number (N<key>). These are fixed rather than
+  // rebindable: the number prefix is its own namespace, so they never clash
+  // with direct keys. The content script dispatches on this list and the
+  // cheat sheet, which-key menu and popup render it, so they cannot drift.
+  //   keys    – keys that select the suffix
+  //   confirm – for axis yanks, the key that completes N<axis><confirm>
+  // =========================================================================
+
+  var NUMBER_SUFFIXES = [
+    { id: "view",     keys: ["v"],           display: "Nv",        label: "Camera view N" },
+    { id: "hide",     keys: ["h"],           display: "Nh",        label: "Hide / show node N (0h = all)" },
+    { id: "yankRow",  keys: ["y"],           display: "Ny",        label: "Yank row N (0y = whole table)" },
+    { id: "yankAxis", keys: ["x", "y", "z"], display: "N{x|y|z}y", label: "Yank one coordinate of row N", confirm: "y" },
+  ];
+
+  var STORAGE_KEY = "keymap";
+  var SEQUENCES_STORAGE_KEY = "customSequences";
+
+  // =========================================================================
+  // Merging defaults with stored overrides
+  // =========================================================================
+
+  function cloneDefaults() {
+    return DEFAULT_KEYMAP.map(function (action) {
+      return Object.assign({ disabled: false }, action);
+    });
+  }
+
+  function merge(overrides) {
+    var actions = cloneDefaults();
+    overrides = overrides || {};
+    for (var i = 0; i < actions.length; i++) {
+      var o = overrides[actions[i].id];
+      if (!o) continue;
+      if (typeof o.key === "string" && o.key !== "") actions[i].key = o.key.toLowerCase();
+      if (typeof o.shift === "boolean") actions[i].shift = o.shift;
+      if (typeof o.disabled === "boolean") actions[i].disabled = o.disabled;
+    }
+    return actions;
+  }
+
+  // Only store what differs from the defaults
+  function diff(actions) {
+    var defaults = {};
+    for (var i = 0; i < DEFAULT_KEYMAP.length; i++) {
+      defaults[DEFAULT_KEYMAP[i].id] = DEFAULT_KEYMAP[i];
+    }
+    var overrides = {};
+    for (var j = 0; j < actions.length; j++) {
+      var a = actions[j];
+      var d = defaults[a.id];
+      if (!d) continue;
+      var o = {};
+      if (a.key !== d.key) o.key = a.key;
+      if (!!a.shift !== !!d.shift) o.shift = !!a.shift;
+      if (a.disabled) o.disabled = true;
+      if (Object.keys(o).length > 0) overrides[a.id] = o;
+    }
+    return overrides;
+  }
+
+  function load(callback) {
+    if (typeof chrome === "undefined" || !chrome.storage || !chrome.storage.sync) {
+      callback(cloneDefaults());
+      return;
+    }
+    var query = {};
+    query[STORAGE_KEY] = {};
+    chrome.storage.sync.get(query, function (items) {
+      if (chrome.runtime.lastError) {
+        callback(cloneDefaults());
+        return;
+      }
+      callback(merge(items[STORAGE_KEY]));
+    });
+  }
+
+  function save(actions, callback) {
+    var items = {};
+    items[STORAGE_KEY] = diff(actions);
+    chrome.storage.sync.set(items, function () {
+      if (callback) callback(chrome.runtime.lastError || null);
+    });
+  }
+
+  // =========================================================================
+  // Custom sequences
+  //
+  // User-defined sequences pressed after the leader key, stored in
+  // chrome.storage.sync as a list of
+  //   { keys: "gf", label: "Front view with grid", commands: "view 1\nviewOption grid",
+  //     timeout: 3000 }
+  // keys are typed characters (uppercase means Shift); commands use the text
+  // form in commands.js. timeout (ms) is optional: how long each key of the
+  // sequence waits for the next one, if longer than the default.
+  // =========================================================================
+
+  function loadSequences(callback) {
+    if (typeof chrome === "undefined" || !chrome.storage || !chrome.storage.sync) {
+      callback([]);
+      return;
+    }
+    var query = {};
+    query[SEQUENCES_STORAGE_KEY] = [];
+    chrome.storage.sync.get(query, function (items) {
+      if (chrome.runtime.lastError) {
+        callback([]);
+        return;
+      }
+      callback(items[SEQUENCES_STORAGE_KEY] || []);
+    });
+  }
+
+  function saveSequences(sequences, callback) {
+    var items = {};
+    items[SEQUENCES_STORAGE_KEY] = sequences;
+    chrome.storage.sync.set(items, function () {
+      if (callback) callback(chrome.runtime.lastError || null);
+    });
+  }
+
+  // =========================================================================
+  // Helpers
+  // =========================================================================
+
+  // "shift+u" / "u" — the lookup key used by the content script. Shift only
+  // counts for letters: on some layouts " or : is typed with Shift, on
+  // others without, and the key is the same character either way.
+  function comboKey(action) {
+    return (action.shift && /^[a-z]$/i.test(action.key) ? "shift+" : "") + action.key;
+  }
+
+  // "Shift+u" / "u" — for display
+  function formatKey(action) {
+    return (action.shift ? "Shift+" : "") + action.key;
+  }
+
+  function groupLabel(groupId) {
+    for (var i = 0; i < GROUPS.length; i++) {
+      if (GROUPS[i].id === groupId) return GROUPS[i].label;
+    }
+    return groupId;
+  }
+
+  // =========================================================================
+  // Conflict detection
+  //
+  // Returns a list of { ids: [...], message } describing every problem.
+  // Disabled actions never conflict.
+  // =========================================================================
+
+  function findConflicts(actions) {
+    var conflicts = [];
+    var namespaces = {};
+
+    for (var i = 0; i < actions.length; i++) {
+      var a = actions[i];
+      if (a.disabled) continue;
+
+      if (typeof a.key !== "string" || a.key === "") {
+        conflicts.push({ ids: [a.id], message: a.label + " has no key" });
+        continue;
+      }
+
+      if (a.group === "views") {
+        if (!/^[0-9]+$/.test(a.key)) {
+          conflicts.push({ ids: [a.id], message: a.label + ": camera views must be bound to a number" });
+          continue;
+        }
+      } else if (a.key.length !== 1) {
+        conflicts.push({ ids: [a.id], message: a.label + ": key must be a single character" });
+        continue;
+      }
+
+      var isDirect = DIRECT_GROUPS.indexOf(a.group) !== -1;
+      if (isDirect && !a.shift && /^[0-9]$/.test(a.key)) {
+        conflicts.push({
+          ids: [a.id],
+          message: a.label + ": digits are reserved for number prefixes (Nv, Nh, Ny)",
+        });
+        continue;
+      }
+
+      var ns = isDirect ? "direct" : a.group;
+      var combo = a.group === "views" ? a.key : comboKey(a);
+      if (!namespaces[ns]) namespaces[ns] = {};
+      var taken = namespaces[ns][combo];
+      if (taken) {
+        conflicts.push({
+          ids: [taken.id, a.id],
+          message: formatKey(a) + " is bound to both " + taken.label +
+                   " (" + groupLabel(taken.group) + ") and " + a.label +
+                   " (" + groupLabel(a.group) + ")",
+        });
+      } else {
+        namespaces[ns][combo] = a;
+      }
+    }
+
+    return conflicts;
+  }
+
+  global.OcpKeymap = {
+    DEFAULTS: DEFAULT_KEYMAP,
+    GROUPS: GROUPS,
+    DIRECT_GROUPS: DIRECT_GROUPS,
+    NUMBER_SUFFIXES: NUMBER_SUFFIXES,
+    STORAGE_KEY: STORAGE_KEY,
+    SEQUENCES_STORAGE_KEY: SEQUENCES_STORAGE_KEY,
+    merge: merge,
+    load: load,
+    save: save,
+    loadSequences: loadSequences,
+    saveSequences: saveSequences,
+    comboKey: comboKey,
+    formatKey: formatKey,
+    findConflicts: findConflicts,
+  };
+})(globalThis);
@@ -0,0 +1,18 @@
+// Offscreen document used by background.js to write the clipboard. Service
+// workers have no clipboard, and navigator.clipboard needs a focused page,
+// which an offscreen document never is, so this uses execCommand("copy").
+// Without a user gesture that needs the "clipboardWrite" permission.
+(function () {
+  "use strict";
+
+  var textarea = document.getElementById("clipboard");
+
+  chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
+    if (!message || message.type !== "offscreenCopy") return;
+    textarea.value = message.text;
+    textarea.select();
+    var ok = document.execCommand("copy");
+    textarea.value = "";
+    sendResponse({ ok: ok });
+  });
+})();
@@ -0,0 +1,409 @@
+(function () {
+  var keymapEl = document.getElementById("keymap");
+  var conflictsEl = document.getElementById("conflicts");
+  var saveBtn = document.getElementById("save");
+  var resetBtn = document.getElementById("reset");
+  var statusEl = document.getElementById("status");
+
+  var actions = [];
+  var rowsById = {};
+
+  // =========================================================================
+  // Keymap editor
+  // =========================================================================
+
+  function renderKeymap() {
+    keymapEl.innerHTML = "";
+    rowsById = {};
+
+    for (var g = 0; g < OcpKeymap.GROUPS.length; g++) {
+      var group = OcpKeymap.GROUPS[g];
+      var heading = document.createElement("h2");
+      heading.textContent = group.label;
+      keymapEl.appendChild(heading);
+
+      var table = document.createElement("table");
+      table.innerHTML = "<tr><th>Action</th><th>Key</th><th>Shift</th><th>Enabled</th></tr>";
+
+      for (var i = 0; i < actions.length; i++) {
+        if (actions[i].group === group.id) {
+          table.appendChild(renderActionRow(actions[i]));
+        }
+      }
+      keymapEl.appendChild(table);
+    }
+
+    validate();
+  }
+
+  function renderActionRow(action) {
+    var row = document.createElement("tr");
+
+    var labelCell = document.createElement("td");
+    labelCell.className = "label";
+    labelCell.textContent = action.label;
+    row.appendChild(labelCell);
+
+    var keyCell = document.createElement("td");
+    var keyInput = document.createElement("input");
+    keyInput.className = "key";
+    keyInput.value = action.key;
+    // Camera views are bound to numbers (pressed as Nv), everything else to one key
+    keyInput.maxLength = action.group === "views" ? 2 : 1;
+    keyInput.addEventListener("input", function () {
+      action.key = keyInput.value.toLowerCase();
+      validate();
+    });
+    keyCell.appendChild(keyInput);
+    row.appendChild(keyCell);
+
+    var shiftCell = document.createElement("td");
+    if (action.group !== "views") {
+      var shiftInput = document.createElement("input");
+      shiftInput.type = "checkbox";
+      shiftInput.checked = !!action.shift;
+      shiftInput.addEventListener("change", function () {
+        action.shift = shiftInput.checked;
+        validate();
+      });
+      shiftCell.appendChild(shiftInput);
+    }
+    row.appendChild(shiftCell);
+
+    var enabledCell = document.createElement("td");
+    var enabledInput = document.createElement("input");
+    enabledInput.type = "checkbox";
+    enabledInput.checked = !action.disabled;
+    enabledInput.addEventListener("change", function () {
+      action.disabled = !enabledInput.checked;
+      validate();
+    });
+    enabledCell.appendChild(enabledInput);
+    row.appendChild(enabledCell);
+
+    rowsById[action.id] = row;
+    return row;
+  }
+
+  // =========================================================================
+  // Validation — conflicts must be resolved before saving
+  // =========================================================================
+
+  function validate() {
+    var conflicts = OcpKeymap.findConflicts(actions);
+    var conflicting = {};
+
+    conflictsEl.innerHTML = "";
+    for (var i = 0; i < conflicts.length; i++) {
+      var li = document.createElement("li");
+      li.textContent = conflicts[i].message;
+      conflictsEl.appendChild(li);
+      for (var j = 0; j < conflicts[i].ids.length; j++) {
+        conflicting[conflicts[i].ids[j]] = true;
+      }
+    }
+
+    for (var k = 0; k < actions.length; k++) {
+      var row = rowsById[actions[k].id];
+      if (!row) continue;
+      row.classList.toggle("conflict", !!conflicting[actions[k].id]);
+      row.classList.toggle("disabled", !!actions[k].disabled);
+    }
+
+    saveBtn.disabled = conflicts.length > 0;
+    statusEl.textContent = "";
+  }
+
+  saveBtn.addEventListener("click", function () {
+    if (OcpKeymap.findConflicts(actions).length > 0) return;
+    OcpKeymap.save(actions, function (err) {
+      statusEl.textContent = err ? "Save failed: " + err.message : "Saved";
+    });
+  });
+
+  resetBtn.addEventListener("click", function () {
+    actions = OcpKeymap.merge({});
+    renderKeymap();
+  });
+
+  // =========================================================================
+  // Viewer origins
+  //
+  // Adding an origin requests the optional host permission for it (this must
+  // happen inside the click handler) and then re-registers the content script.
+  // =========================================================================
+
+  var originsEl = document.getElementById("origins");
+  var originInput = document.getElementById("origin-input");
+  var originAddBtn = document.getElementById("origin-add");
+  var originStatusEl = document.getElementById("origin-status");
+
+  var customOrigins = [];
+
+  function setOriginStatus(text, isError) {
+    originStatusEl.textContent = text;
+    originStatusEl.className = isError ? "error" : "";
+  }
+
+  function renderOrigins() {
+    originsEl.innerHTML = "";
+    var all = OcpOrigins.DEFAULTS.concat(customOrigins);
+
+    for (var i = 0; i < all.length; i++) {
+      var li = document.createElement("li");
+      var code = document.createElement("code");
+      code.textContent = all[i];
+      li.appendChild(code);
+
+      if (OcpOrigins.isDefaultOrigin(all[i])) {
+        var note = document.createElement("span");
+        note.className = "builtin";
+        note.textContent = "built-in";
+        li.appendChild(note);
+      } else {
+        var removeBtn = document.createElement("button");
+        removeBtn.textContent = "Remove";
+        removeBtn.addEventListener("click", removeOrigin.bind(null, all[i]));
+        li.appendChild(removeBtn);
+      }
+      originsEl.appendChild(li);
+    }
+  }
+
+  function storeOrigins(next, message) {
+    OcpOrigins.saveCustom(next, function (err) {
+      if (err) {
+        setOriginStatus("Save failed: " + err.message, true);
+        return;
+      }
+      customOrigins = next;
+      renderOrigins();
+      OcpOrigins.syncContentScripts(customOrigins, function (syncErr) {
+        if (syncErr) setOriginStatus("Registering content script failed: " + syncErr.message, true);
+        else setOriginStatus(message, false);
+      });
+    });
+  }
+
+  function addOrigin() {
+    var origin = OcpOrigins.normalizeOrigin(originInput.value);
+    if (!origin) {
+      setOriginStatus("Not a valid http(s) origin", true);
+      return;
+    }
+    if (OcpOrigins.isDefaultOrigin(origin) || customOrigins.indexOf(origin) !== -1) {
+      setOriginStatus(origin + " is already in the list", true);
+      return;
+    }
+
+    chrome.permissions.request({ origins: [OcpOrigins.toMatchPattern(origin)] }, function (granted) {
+      if (!granted) {
+        setOriginStatus("Permission for " + origin + " was not granted", true);
+        return;
+      }
+      originInput.value = "";
+      storeOrigins(customOrigins.concat([origin]), "Added " + origin + " — reload open viewer tabs");
+    });
+  }
+
+  function removeOrigin(origin) {
+    var next = customOrigins.filter(function (o) { return o !== origin; });
+    chrome.permissions.remove({ origins: [OcpOrigins.toMatchPattern(origin)] }, function () {
+      storeOrigins(next, "Removed " + origin);
+    });
+  }
+
+  originAddBtn.addEventListener("click", addOrigin);
+  originInput.addEventListener("keydown", function (e) {
+    if (e.key === "Enter") addOrigin();
+  });
+
+  // =========================================================================
+  // Custom sequences
+  //
+  // Each row is { keys, label, commands, timeout }. Commands are checked with
+  // the same parser the content script uses, so a sequence that saves also
+  // runs. timeout (ms, optional) lets the keys of a long sequence wait longer
+  // than the usual SEQUENCE_TIMEOUT_MS in content.js.
+  // =========================================================================
+
+  var MIN_SEQUENCE_TIMEOUT_MS = 1500;  // SEQUENCE_TIMEOUT_MS in content.js
+  var MAX_SEQUENCE_TIMEOUT_MS = 10000;
+
+  var sequencesEl = document.getElementById("sequences");
+  var sequenceAddBtn = document.getElementById("sequence-add");
+  var sequenceSaveBtn = document.getElementById("sequence-save");
+  var sequenceStatusEl = document.getElementById("sequence-status");
+
+  var sequences = [];
+
+  function setSequenceStatus(text, isError) {
+    sequenceStatusEl.textContent = text;
+    sequenceStatusEl.className = isError ? "error" : "";
+  }
+
+  function renderSequences() {
+    sequencesEl.innerHTML = "<tr><th>Keys</th><th>Label</th><th>Commands</th><th>Timeout (ms)</th><th></th></tr>";
+    sequences.forEach(function (sequence, index) {
+      var row = document.createElement("tr");
+
+      function field(tag, className, prop) {
+        var cell = document.createElement("td");
+        var input = document.createElement(tag);
+        input.className = className;
+        input.value = sequence[prop] !== undefined ? sequence[prop] : "";
+        input.addEventListener("input", function () {
+          sequence[prop] = input.value;
+          setSequenceStatus("", false);
+        });
+        cell.appendChild(input);
+        row.appendChild(cell);
+      }
+
+      field("input", "keys", "keys");
+      field("input", "seq-label", "label");
+      field("textarea", "commands", "commands");
+      field("input", "seq-timeout", "timeout");
+      row.lastChild.firstChild.placeholder = String(MIN_SEQUENCE_TIMEOUT_MS);
+
+      var removeCell = document.createElement("td");
+      var removeBtn = document.createElement("button");
+      removeBtn.textContent = "Remove";
+      removeBtn.addEventListener("click", function () {
+        sequences.splice(index, 1);
+        renderSequences();
+      });
+      removeCell.appendChild(removeBtn);
+      row.appendChild(removeCell);
+
+      sequencesEl.appendChild(row);
+    });
+  }
+
+  // Returns a list of problems, empty if the sequences can be saved
+  function validateSequences() {
+    var problems = [];
+    var seen = {};
+    sequences.forEach(function (sequence) {
+      var keys = (sequence.keys || "").trim();
+      if (keys === "" || /\s/.test(keys)) {
+        problems.push("Sequence keys must be one or more keys without spaces");
+        return;
+      }
+      if (seen[keys]) problems.push("Keys " + keys + " are used twice");
+      seen[keys] = true;
+      var parsed = OcpCommands.parseCommandText(sequence.commands || "");
+      parsed.errors.forEach(function (error) {
+        problems.push(keys + ", " + error);
+      });
+      if (parsed.errors.length === 0 && parsed.commands.length === 0) {
+        problems.push(keys + " has no commands");
+      }
+      var timeout = String(sequence.timeout === undefined ? "" : sequence.timeout).trim();
+      if (timeout !== "" && (!/^[0-9]+$/.test(timeout) || +timeout < MIN_SEQUENCE_TIMEOUT_MS ||
+                             +timeout > MAX_SEQUENCE_TIMEOUT_MS)) {
+        problems.push(keys + ", timeout must be " + MIN_SEQUENCE_TIMEOUT_MS + " to " +
+                      MAX_SEQUENCE_TIMEOUT_MS + " ms, or empty for the default");
+      }
+    });
+    return problems;
+  }
+
+  sequenceAddBtn.addEventListener("click", function () {
+    sequences.push({ keys: "", label: "", commands: "" });
+    renderSequences();
+  });
+
+  sequenceSaveBtn.addEventListener("click", function () {
+    var problems = validateSequences();
+    if (problems.length > 0) {
+      setSequenceStatus(problems[0], true);
+      return;
+    }
+    var cleaned = sequences.map(function (sequence) {
+      var item = { keys: sequence.keys.trim(), label: (sequence.label || "").trim(), commands: sequence.commands };
+      var timeout = String(sequence.timeout === undefined ? "" : sequence.timeout).trim();
+      if (timeout !== "") item.timeout = parseInt(timeout, 10);
+      return item;
+    });
+    OcpKeymap.saveSequences(cleaned, function (err) {
+      setSequenceStatus(err ? "Save failed: " + err.message : "Saved", !!err);
+    });
+  });
+
+  // =========================================================================
+  // Units
+  // =========================================================================
+
+  var unitPerOriginInput = document.getElementById("unit-per-origin");
+
+  chrome.storage.sync.get({ unitSettingsPerOrigin: false }, function (items) {
+    unitPerOriginInput.checked = !!items.unitSettingsPerOrigin;
+  });
+
+  unitPerOriginInput.addEventListener("change", function () {
+    chrome.storage.sync.set({ unitSettingsPerOrigin: unitPerOriginInput.checked });
+  });
+
+  // =========================================================================
+  // Screenshots — chrome.tabs.captureVisibleTab in background.js needs
+  // "<all_urls>", which is optional so that it is only asked for on demand.
+  // It is not revoked from here: removing it would also remove the host
+  // permissions of the custom viewer origins, which it covers.
+  // =========================================================================
+
+  var CAPTURE_PERMISSION = { origins: ["<all_urls>"] };
+  var capturePermissionInput = document.getElementById("capture-permission");
+
+  function showCapturePermission(granted) {
+    capturePermissionInput.checked = granted;
+    capturePermissionInput.disabled = granted;
+    document.getElementById("capture-permission-granted").hidden = !granted;
+  }
+
+  chrome.permissions.contains(CAPTURE_PERMISSION, showCapturePermission);
+
+  capturePermissionInput.addEventListener("change", function () {
+    chrome.permissions.request(CAPTURE_PERMISSION, showCapturePermission);
+  });
+
+  // =========================================================================
+  // Browser shortcuts — the "commands" in manifest.json, run by background.js
+  // =========================================================================
+
+  var shortcutsEl = document.getElementById("shortcuts");
+
+  chrome.commands.getAll(function (commands) {
+    commands.forEach(function (command) {
+      if (!command.description) return;  // the toolbar action itself
+      var row = document.createElement("tr");
+      var label = document.createElement("td");
+      label.textContent = command.description;
+      var shortcut = document.createElement("td");
+      shortcut.textContent = command.shortcut || "not set";
+      if (!command.shortcut) shortcut.className = "hint";
+      row.appendChild(label);
+      row.appendChild(shortcut);
+      shortcutsEl.appendChild(row);
+    });
+  });
+
+  document.getElementById("shortcuts-open").addEventListener("click", function () {
+    chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+  });
+
+  OcpOrigins.loadCustom(function (loaded) {
+    customOrigins = loaded;
+    renderOrigins();
+  });
+
+  OcpKeymap.load(function (loaded) {
+    actions = loaded;
+    renderKeymap();
+  });
+
+  OcpKeymap.loadSequences(function (loaded) {
+    sequences = loaded;
+    renderSequences();
+  });
+})();
@@ -0,0 +1,146 @@
+// Shared viewer-origin list for the popup and the options page.
+//
+// The default origins are matched statically by manifest.json. Extra origins
+// added on the options page are stored in chrome.storage.local and get the
+// content script registered at runtime through chrome.scripting, after the
+// user grants the optional host permission for them. Permissions and
+// registrations belong to one browser, so the list is not synced: on
+// another synced browser those origins would look like viewers with no
+// script running there.
+(function (global) {
+  "use strict";
+
+  var DEFAULT_ORIGINS = [
+    "http://localhost:3939",
+    "http://127.0.0.1:3939",
+  ];
+
+  var STORAGE_KEY = "viewerOrigins";
+  var SCRIPT_ID = "ocp-viewer-custom-origins";
+  var BRIDGE_SCRIPT_ID = "ocp-viewer-custom-origins-bridge";
+
+  // Must match the content_scripts entries in manifest.json
+  var CONTENT_SCRIPT_FILES = ["keymap.js", "commands.js", "content.js"];
+  var BRIDGE_SCRIPT_FILES = ["bridge.js"];  // runs in the page's main world
+
+  // =========================================================================
+  // Origin helpers
+  // =========================================================================
+
+  // "lan-box:3939", "http://lan-box:3939/some/path" -> "http://lan-box:3939"
+  // Returns null for anything that is not an http(s) origin.
+  function normalizeOrigin(input) {
+    var text = (input || "").trim();
+    if (text === "") return null;
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) text = "http://" + text;
+
+    var url;
+    try {
+      url = new URL(text);
+    } catch (e) {
+      return null;
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    return url.origin;
+  }
+
+  function toMatchPattern(origin) {
+    return origin + "/*";
+  }
+
+  function isDefaultOrigin(origin) {
+    return DEFAULT_ORIGINS.indexOf(origin) !== -1;
+  }
+
+  function isViewerUrl(url, origins) {
+    var origin = normalizeOrigin(url);
+    return origin !== null && origins.indexOf(origin) !== -1;
+  }
+
+  // =========================================================================
+  // Storage
+  // =========================================================================
+
+  // Custom (user-added) origins only
+  function loadCustom(callback) {
+    var query = {};
+    query[STORAGE_KEY] = [];
+    chrome.storage.local.get(query, function (items) {
+      if (chrome.runtime.lastError) {
+        callback([]);
+        return;
+      }
+      callback(items[STORAGE_KEY] || []);
+    });
+  }
+
+  // Defaults followed by custom origins
+  function load(callback) {
+    loadCustom(function (custom) {
+      callback(DEFAULT_ORIGINS.concat(custom));
+    });
+  }
+
+  function saveCustom(origins, callback) {
+    var items = {};
+    items[STORAGE_KEY] = origins;
+    chrome.storage.local.set(items, function () {
+      if (callback) callback(chrome.runtime.lastError || null);
+    });
+  }
+
+  // =========================================================================
+  // Runtime content script registration
+  // =========================================================================
+
+  function syncContentScripts(customOrigins, callback) {
+    callback = callback || function () {};
+
+    chrome.scripting.getRegisteredContentScripts({ ids: [SCRIPT_ID, BRIDGE_SCRIPT_ID] }, function (scripts) {
+      var registeredIds = (scripts || []).map(function (script) { return script.id; });
+
+      function register() {
+        if (customOrigins.length === 0) {
+          callback(null);
+          return;
+        }
+        var matches = customOrigins.map(toMatchPattern);
+        chrome.scripting.registerContentScripts([{
+          id: SCRIPT_ID,
+          matches: matches,
+          js: CONTENT_SCRIPT_FILES,
+          runAt: "document_idle",
+          persistAcrossSessions: true,
+        }, {
+          id: BRIDGE_SCRIPT_ID,
+          matches: matches,
+          js: BRIDGE_SCRIPT_FILES,
+          runAt: "document_idle",
+          world: "MAIN",
+          persistAcrossSessions: true,
+        }], function () {
+          callback(chrome.runtime.lastError || null);
+        });
+      }
+
+      if (registeredIds.length > 0) {
+        chrome.scripting.unregisterContentScripts({ ids: registeredIds }, register);
+      } else {
+        register();
+      }
+    });
+  }
+
+  global.OcpOrigins = {
+    DEFAULTS: DEFAULT_ORIGINS,
+    STORAGE_KEY: STORAGE_KEY,
+    normalizeOrigin: normalizeOrigin,
+    toMatchPattern: toMatchPattern,
+    isDefaultOrigin: isDefaultOrigin,
+    isViewerUrl: isViewerUrl,
+    load: load,
+    loadCustom: loadCustom,
+    saveCustom: saveCustom,
+    syncContentScripts: syncContentScripts,
+  };
+})(globalThis);
@@ -1,18 +1,207 @@
 (function () {
   var statusEl = document.getElementById("status");
 
-  chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
-    var tab = tabs[0];
-    if (!tab || !tab.url) {
-      statusEl.textContent = "";
-      return;
+  document.getElementById("options-link").addEventListener("click", function (e) {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  // =========================================================================
+  // Key table — generated from keymap.js so it follows the user's bindings
+  // =========================================================================
+
+  var keysEl = document.getElementById("keys");
+
+  // keys: list of { key, shift } pressed in order
+  function addKeyRow(keys, label) {
+    var row = document.createElement("tr");
+    var keyCell = document.createElement("td");
+    keys.forEach(function (k) {
+      if (k.shift) {
+        var shift = document.createElement("span");
+        shift.className = "key";
+        shift.textContent = "Shift";
+        keyCell.appendChild(shift);
+        keyCell.appendChild(document.createTextNode("+"));
+      }
+      var span = document.createElement("span");
+      span.className = "key";
+      span.textContent = k.key;
+      keyCell.appendChild(span);
+    });
+    var labelCell = document.createElement("td");
+    labelCell.textContent = label;
+    row.appendChild(keyCell);
+    row.appendChild(labelCell);
+    keysEl.appendChild(row);
+  }
+
+  function addGroupRow(label) {
+    var row = document.createElement("tr");
+    var cell = document.createElement("td");
+    cell.colSpan = 2;
+    cell.className = "group";
+    cell.textContent = label;
+    row.appendChild(cell);
+    keysEl.appendChild(row);
+  }
+
+  function renderKeys(actions) {
+    keysEl.innerHTML = "";
+    var enabled = actions.filter(function (a) { return !a.disabled; });
+    var viewPrefix = enabled.filter(function (a) { return a.id === "viewPrefix"; })[0];
+    var viewSuffix = OcpKeymap.NUMBER_SUFFIXES.filter(function (s) { return s.id === "view"; })[0];
+
+    OcpKeymap.GROUPS.forEach(function (group) {
+      var inGroup = enabled.filter(function (a) { return a.group === group.id; });
+      if (group.id === "viewOptions" && !viewPrefix) return;
+      if (inGroup.length === 0) return;
+      addGroupRow(group.label);
+      inGroup.forEach(function (action) {
+        if (group.id === "views") {
+          addKeyRow([{ key: action.key }, { key: viewSuffix.keys[0] }], action.label);
+        } else if (group.id === "viewOptions") {
+          addKeyRow([viewPrefix, action], action.label);
+        } else {
+          addKeyRow([action], action.label);
+        }
+      });
+    });
+
+    addGroupRow("Number prefix");
+    OcpKeymap.NUMBER_SUFFIXES.forEach(function (suffix) {
+      addKeyRow([{ key: suffix.display }], suffix.label);
+    });
+  }
+
+  OcpKeymap.load(renderKeys);
+
+  // =========================================================================
+  // Live status and remote controls
+  //
+  // The content script answers { type: "status" } with the viewer state and
+  // runs "command", "setUnit" and "yank" messages (see "Popup Messaging" in
+  // content.js). Every reply except yank carries the new status, so the
+  // controls re-render after each click.
+  // =========================================================================
+
+  var remoteEl = document.getElementById("remote");
+  var unitSelect = document.getElementById("remote-unit");
+  var precisionEl = document.getElementById("remote-precision");
+  var viewsEl = document.getElementById("remote-views");
+  var toolsEl = document.getElementById("remote-tools");
+  var resultEl = document.getElementById("remote-result");
+
+  var viewerTabId = null;
+
+  function sendToViewer(message, callback) {
+    chrome.tabs.sendMessage(viewerTabId, message, function (response) {
+      if (chrome.runtime.lastError || !response) {
+        remoteEl.hidden = true;
+        statusEl.innerHTML = '<span class="warning">&#9679; Extension not loaded in this tab — reload it</span>';
+        return;
+      }
+      callback(response);
+    });
+  }
+
+  function remoteButton(text, title, message, isOn) {
+    var btn = document.createElement("button");
+    btn.textContent = text;
+    btn.title = title;
+    if (isOn) btn.className = "on";
+    btn.addEventListener("click", function () {
+      sendToViewer(message, renderStatus);
+    });
+    return btn;
+  }
+
+  function describeStatus(status) {
+    if (status.toolbar === "waiting") return '<span class="inactive">&#9675; Waiting for the viewer toolbar&hellip;</span>';
+    if (status.toolbar === "timeout") {
+      return '<span class="warning">&#9679; Viewer toolbar not found — keys are attached but tool buttons may not work</span>';
     }
-    var isViewer =
-      tab.url.startsWith("http://localhost:3939") ||
-      tab.url.startsWith("http://127.0.0.1:3939");
+    return '<span class="active">&#9679; Active on this page</span> &middot; ' +
+           status.nodes + " node" + (status.nodes === 1 ? "" : "s") +
+           (status.panel ? " &middot; " + status.panel + " panel open" : "");
+  }
+
+  function renderStatus(status) {
+    statusEl.innerHTML = describeStatus(status);
+    remoteEl.hidden = false;
+
+    unitSelect.innerHTML = "";
+    status.units.forEach(function (unit) {
+      var option = document.createElement("option");
+      option.value = unit.id;
+      option.textContent = unit.label;
+      option.selected = unit.id === status.unit;
+      unitSelect.appendChild(option);
+    });
+    precisionEl.textContent = status.precision + ", " + status.angleUnit;
+
+    viewsEl.innerHTML = "";
+    status.views.forEach(function (view) {
+      viewsEl.appendChild(remoteButton(view.label.replace(/ View$/, ""), view.num + "v",
+                                       { type: "command", command: { type: "view", num: view.num } }));
+    });
+
+    toolsEl.innerHTML = "";
+    status.tools.forEach(function (tool) {
+      var btn = remoteButton(tool.label, tool.key + (tool.present ? "" : " (not in toolbar)"),
+                             { type: "command", command: { type: "tool", id: tool.id } }, tool.active);
+      btn.disabled = !tool.present;
+      toolsEl.appendChild(btn);
+    });
+  }
+
+  unitSelect.addEventListener("change", function () {
+    sendToViewer({ type: "setUnit", unit: unitSelect.value }, renderStatus);
+  });
+
+  document.getElementById("remote-toggle-unit").addEventListener("click", function () {
+    sendToViewer({ type: "command", command: { type: "action", id: "toggleUnit" } }, renderStatus);
+  });
+
+  document.getElementById("remote-precision-btn").addEventListener("click", function () {
+    sendToViewer({ type: "command", command: { type: "action", id: "cyclePrecision" } }, renderStatus);
+  });
+
+  // The page is not focused while the popup is open, so it cannot write the
+  // clipboard; the content script returns the text and the popup copies it.
+  document.getElementById("remote-yank").addEventListener("click", function () {
+    sendToViewer({ type: "yank", command: { type: "yank", variant: "primary" } }, function (result) {
+      if (result.error) {
+        resultEl.textContent = result.error;
+        return;
+      }
+      navigator.clipboard.writeText(result.text).then(function () {
+        resultEl.textContent = "Copied " + result.description;
+      }).catch(function () {
+        resultEl.textContent = "Copy failed";
+      });
+    });
+  });
+
+  var originsEl = document.getElementById("origins");
+
+  OcpOrigins.load(function (origins) {
+    originsEl.innerHTML = origins.map(function (origin) {
+      return "<code>" + origin.replace(/^https?:\/\//, "") + "</code>";
+    }).join("<br>");
 
-    statusEl.innerHTML = isViewer
-      ? '<span class="active">&#9679; Active on this page</span>'
-      : '<span class="inactive">&#9675; Not on OCP CAD Viewer page</span>';
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+      var tab = tabs[0];
+      if (!tab || !tab.url) {
+        statusEl.textContent = "";
+        return;
+      }
+      if (!OcpOrigins.isViewerUrl(tab.url, origins)) {
+        statusEl.innerHTML = '<span class="inactive">&#9675; Not on OCP CAD Viewer page</span>';
+        return;
+      }
+      viewerTabId = tab.id;
+      sendToViewer({ type: "status" }, renderStatus);
+    });
   });
 })();